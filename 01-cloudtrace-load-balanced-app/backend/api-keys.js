@@ -0,0 +1,148 @@
+// ============================================
+// CloudTrace API Key Management
+// ============================================
+//
+// PURPOSE: Create, list and revoke API keys (see auth.js)
+//
+// USAGE:
+//   npm run api-keys -- create <name> [scopes]   # scopes: comma-separated, default logs:write
+//   npm run api-keys -- list
+//   npm run api-keys -- revoke <key id>
+//
+// EXAMPLES:
+//   npm run api-keys -- create frontend logs:write,logs:read
+//   npm run api-keys -- create prometheus admin
+//
+// The plain key is printed ONCE by "create" - only its hash is stored
+// ============================================
+
+const { SCOPES, generateApiKey } = require('./auth');
+
+class ApiKeyCommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ApiKeyCommandError';
+    }
+}
+
+// "logs:write,logs:read" → ['logs:write', 'logs:read']
+function parseScopes(text = 'logs:write') {
+    const scopes = [...new Set(text.split(',').map(scope => scope.trim()).filter(Boolean))];
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new ApiKeyCommandError(`Unknown scope(s) "${unknown.join(', ')}" (use ${SCOPES.join(', ')})`);
+    }
+    if (scopes.length === 0) {
+        throw new ApiKeyCommandError(`At least one scope is required (${SCOPES.join(', ')})`);
+    }
+    return scopes;
+}
+
+// → { keyId, key, name, scopes }
+async function createApiKey(pool, name, scopes) {
+    if (!name || name.length > 100) {
+        throw new ApiKeyCommandError('A key name of 1-100 characters is required');
+    }
+    const { keyId, key, keyHash } = generateApiKey();
+    await pool.query(
+        'INSERT INTO api_keys (key_id, key_hash, name, scopes) VALUES ($1, $2, $3, $4)',
+        [keyId, keyHash, name, scopes]
+    );
+    return { keyId, key, name, scopes };
+}
+
+async function listApiKeys(pool) {
+    const result = await pool.query(
+        `SELECT key_id, name, scopes, created_at, last_used_at, revoked_at
+         FROM api_keys
+         ORDER BY created_at`
+    );
+    return result.rows;
+}
+
+// Returns false if no active key has this id
+async function revokeApiKey(pool, keyId) {
+    const result = await pool.query(
+        'UPDATE api_keys SET revoked_at = NOW() WHERE key_id = $1 AND revoked_at IS NULL',
+        [keyId]
+    );
+    return result.rowCount > 0;
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+// Uses the same configuration as server.js (config.js: DATABASE_URL / DB_*, SSL)
+// ============================================
+
+async function main() {
+    require('dotenv').config({ quiet: true });
+    const { Pool } = require('pg');
+    const { loadConfig } = require('./config');
+
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = new Pool({
+        ...config.db.connection,
+        connectionTimeoutMillis: config.db.pool.connectionTimeoutMillis,
+        max: 1
+    });
+
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        if (command === 'create') {
+            const created = await createApiKey(pool, args[0], parseScopes(args[1]));
+            console.log(`✅ Created key ${created.keyId} (${created.name}) with scopes ${created.scopes.join(', ')}`);
+            console.log('');
+            console.log(`   ${created.key}`);
+            console.log('');
+            console.log('⚠️  Copy it now - it is not stored and cannot be shown again');
+        } else if (command === 'list') {
+            const keys = await listApiKeys(pool);
+            if (keys.length === 0) {
+                console.log('No API keys yet (npm run api-keys -- create <name> [scopes])');
+            }
+            keys.forEach(({ key_id, name, scopes, created_at, last_used_at, revoked_at }) => {
+                const state = revoked_at ? `revoked ${revoked_at.toISOString()}` : 'active';
+                const used = last_used_at ? `last used ${last_used_at.toISOString()}` : 'never used';
+                console.log(`${key_id}  ${name.padEnd(24)} ${scopes.join(',').padEnd(28)} ${state}, created ${created_at.toISOString()}, ${used}`);
+            });
+        } else if (command === 'revoke') {
+            if (!args[0]) {
+                throw new ApiKeyCommandError('Usage: revoke <key id>');
+            }
+            const revoked = await revokeApiKey(pool, args[0]);
+            if (!revoked) {
+                throw new ApiKeyCommandError(`No active key with id "${args[0]}"`);
+            }
+            console.log(`✅ Revoked key ${args[0]} (servers stop accepting it within AUTH_CACHE_TTL_MS)`);
+        } else {
+            throw new ApiKeyCommandError(`Unknown command "${command || ''}" (use create <name> [scopes], list or revoke <key id>)`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    ApiKeyCommandError,
+    parseScopes,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+};
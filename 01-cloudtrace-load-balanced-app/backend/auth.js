@@ -0,0 +1,162 @@
+// ============================================
+// CloudTrace API Key Authentication
+// ============================================
+//
+// PURPOSE: Optional bearer-token authentication with per-key scopes
+//
+// KEY FORMAT:  ct_<key id>_<secret>
+//   ct_3f9a1c2b_Yp1v...   (key id: 8 hex chars, secret: 32 random bytes, base64url)
+// - The key id is public: it finds the row and appears in logs
+// - Only the SHA-256 of the whole key is stored (api_keys.key_hash)
+//
+// WHY SHA-256 AND NOT BCRYPT:
+// - bcrypt/scrypt slow down guessing LOW-entropy secrets (passwords)
+// - These keys carry 256 random bits - guessing is hopeless either way
+// - A fast hash keeps per-request verification cheap
+//
+// SCOPES:
+// - logs:write  - GET/POST /api/request (writes a request log)
+// - logs:read   - /api/requests, /api/stats, /api/stream
+// - admin       - /metrics; implies every other scope
+//
+// CACHING: Keys are cached for a short TTL (AUTH_CACHE_TTL_MS), so a busy
+// client costs one lookup per TTL, not one per request. A revoked key stops
+// working at the latest one TTL later. The cache holds at most
+// CACHE_MAX_KEYS ids (oldest dropped first): unknown ids are cached too, and
+// anyone can send those.
+// ============================================
+
+const crypto = require('crypto');
+
+const SCOPES = ['logs:write', 'logs:read', 'admin'];
+
+const KEY_PATTERN = /^ct_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+
+// Touch last_used_at at most this often per key (it's informational)
+const LAST_USED_INTERVAL_MS = 60000;
+
+// Cached key ids (known and unknown); far more than any real deployment has keys
+const CACHE_MAX_KEYS = 10000;
+
+class AuthError extends Error {
+    // status: 401 (no or bad key) or 403 (valid key, missing scope)
+    constructor(status, message, { scope } = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.scope = scope;
+    }
+
+    // RFC 6750 challenge for the WWW-Authenticate header
+    get challenge() {
+        if (this.status === 403) {
+            return `Bearer realm="cloudtrace", error="insufficient_scope", scope="${this.scope}"`;
+        }
+        return 'Bearer realm="cloudtrace"';
+    }
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// → { keyId, key, keyHash }; the plain key is shown once and never stored
+function generateApiKey() {
+    const keyId = crypto.randomBytes(4).toString('hex');
+    const key = `ct_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+    return { keyId, key, keyHash: hashApiKey(key) };
+}
+
+// "Bearer ct_..." → "ct_..." (null if absent or another scheme)
+function parseBearerToken(header) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+    return match ? match[1] : null;
+}
+
+function hasScope(scopes, required) {
+    return scopes.includes('admin') || scopes.includes(required);
+}
+
+class ApiKeyAuthenticator {
+    constructor({ pool, cacheTtlMs = 30000, cacheMaxKeys = CACHE_MAX_KEYS, logger = console }) {
+        this.pool = pool;
+        this.cacheTtlMs = cacheTtlMs;
+        this.cacheMaxKeys = cacheMaxKeys;
+        this.logger = logger;
+        this.cache = new Map();     // key id → { row (or null), expiresAt }
+        this.lastUsed = new Map();  // key id → last last_used_at update (ms)
+    }
+
+    // Row for a key id, from the cache or the database (null if unknown/revoked)
+    async lookup(keyId) {
+        const cached = this.cache.get(keyId);
+        if (cached) {
+            if (cached.expiresAt > Date.now()) {
+                return cached.row;
+            }
+            this.cache.delete(keyId);
+        }
+
+        const result = await this.pool.query(
+            `SELECT key_id, key_hash, name, scopes
+             FROM api_keys
+             WHERE key_id = $1 AND revoked_at IS NULL`,
+            [keyId]
+        );
+        const row = result.rows[0] || null;
+        // Unknown ids are cached too: random garbage keys can't hammer the database
+        // Map keeps insertion order: the first key is the oldest entry
+        this.cache.set(keyId, { row, expiresAt: Date.now() + this.cacheTtlMs });
+        if (this.cache.size > this.cacheMaxKeys) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return row;
+    }
+
+    // Verify the bearer token and scope; returns { keyId, name, scopes }
+    // Throws AuthError (401/403); database errors propagate to the caller
+    async authenticate(token, requiredScope) {
+        const match = KEY_PATTERN.exec(token || '');
+        if (!match) {
+            throw new AuthError(401, token ? 'Malformed API key' : 'API key required');
+        }
+
+        const row = await this.lookup(match[1]);
+        const expected = row ? Buffer.from(row.key_hash, 'hex') : null;
+        const actual = Buffer.from(hashApiKey(token), 'hex');
+        // Constant-time: response timing reveals nothing about the stored hash
+        if (!expected || !crypto.timingSafeEqual(expected, actual)) {
+            throw new AuthError(401, 'Invalid or revoked API key');
+        }
+
+        if (!hasScope(row.scopes, requiredScope)) {
+            throw new AuthError(403, `API key lacks the "${requiredScope}" scope`, { scope: requiredScope });
+        }
+
+        this.touch(row.key_id);
+        return { keyId: row.key_id, name: row.name, scopes: row.scopes };
+    }
+
+    // Fire-and-forget last_used_at update
+    touch(keyId) {
+        const now = Date.now();
+        if (now - (this.lastUsed.get(keyId) || 0) < LAST_USED_INTERVAL_MS) {
+            return;
+        }
+        this.lastUsed.set(keyId, now);
+        this.pool.query('UPDATE api_keys SET last_used_at = NOW() WHERE key_id = $1', [keyId])
+            .catch(error => this.logger.warn('Could not update API key last_used_at', {
+                key_id: keyId,
+                error: error.message
+            }));
+    }
+}
+
+module.exports = {
+    ApiKeyAuthenticator,
+    AuthError,
+    SCOPES,
+    generateApiKey,
+    hashApiKey,
+    parseBearerToken
+};
@@ -0,0 +1,122 @@
+// ============================================
+// CloudTrace Batch Writer (Async Ingestion Mode)
+// ============================================
+//
+// PURPOSE: Higher write throughput than one transaction per request
+//
+// SYNC MODE (default, server.js):
+// - Each request checks out a pool client and runs BEGIN / INSERT / COMMIT
+// - Response waits for the database
+// - Throughput is capped by pool size (10) ÷ round-trip time
+//
+// BATCH MODE (WRITE_MODE=batch, this file):
+// - Request is acknowledged immediately (db_status: "queued")
+// - Rows collect in memory and are flushed as ONE multi-row INSERT
+//   every flushIntervalMs, or as soon as maxBatchRows rows are waiting
+// - One round trip writes hundreds of rows
+//
+// TRADE-OFFS:
+// - The client no longer knows if its row was written
+// - Rows still in memory are lost if the process crashes (stop() flushes on shutdown)
+// - maxQueueRows bounds memory: when full, enqueue() refuses and the caller
+//   falls back to a synchronous write (natural backpressure)
+// ============================================
+
+class BatchWriter {
+    // insertBatch(rows) writes rows in one statement; its result is not used here
+    // onFlushError(rows, error, { final }) decides what happens to rows of a failed flush
+    // - final: the flush from stop(); nothing flushes after it, requeued rows would be lost
+    // - If it throws (e.g. the spool disk is full), the batch is logged as lost: flushes run
+    //   from the timer and enqueue() with nobody awaiting them, so the error must stop here
+    // logger: anything with error(message, fields) - console works too
+    constructor({ flushIntervalMs, maxBatchRows, maxQueueRows, insertBatch, onFlushError, logger = console }) {
+        this.flushIntervalMs = flushIntervalMs;
+        this.maxBatchRows = maxBatchRows;
+        this.maxQueueRows = maxQueueRows;
+        this.insertBatch = insertBatch;
+        this.onFlushError = onFlushError;
+        this.logger = logger;
+
+        this.queue = [];
+        this.timer = null;
+        this.flushing = null;  // Promise of the running flush, if any
+        this.stopping = false;
+    }
+
+    get depth() {
+        return this.queue.length;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+        // Don't keep the process alive just for the timer
+        this.timer.unref();
+    }
+
+    // Returns false when the queue is full (caller should write synchronously)
+    enqueue(row) {
+        if (this.queue.length >= this.maxQueueRows) {
+            return false;
+        }
+        this.queue.push(row);
+
+        // Full batch waiting → don't wait for the timer
+        if (this.queue.length >= this.maxBatchRows) {
+            this.flush();
+        }
+        return true;
+    }
+
+    // Put rows back at the FRONT so they keep their order (used after a transient failure)
+    requeue(rows) {
+        this.queue.unshift(...rows);
+    }
+
+    // One flush at a time; concurrent callers share the running one
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushAll().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushAll() {
+        while (this.queue.length > 0) {
+            const batch = this.queue.splice(0, this.maxBatchRows);
+            try {
+                await this.insertBatch(batch);
+            } catch (error) {
+                try {
+                    await this.onFlushError(batch, error, { final: this.stopping });
+                } catch (handlerError) {
+                    this.logger.error('Failed batch could not be handled, rows may be lost', {
+                        rows: batch.length,
+                        err: handlerError
+                    });
+                }
+                // Stop this round; the timer tries again later
+                // (the final flush hands every remaining batch to onFlushError instead)
+                if (!this.stopping) {
+                    return;
+                }
+            }
+        }
+    }
+
+    // Shutdown: stop the timer and write whatever is still queued
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stopping = true;
+        if (this.flushing) {
+            await this.flushing;
+        }
+        await this.flush();
+    }
+}
+
+module.exports = {
+    BatchWriter
+};
@@ -0,0 +1,193 @@
+// ============================================
+// CloudTrace Write Mode Benchmark
+// ============================================
+//
+// PURPOSE: Compare WRITE_MODE=sync against WRITE_MODE=batch
+//
+// WHAT IT DOES:
+// 1. Starts server.js once per write mode on a spare port
+// 2. Waits for /health/ready (database must be reachable - uses your .env)
+// 3. Fires N requests at /api/request with C concurrent connections
+// 4. Prints throughput and latency percentiles side by side
+//
+// USAGE:
+//   npm run benchmark                          # 2000 requests, 50 concurrent
+//   npm run benchmark -- --requests 5000 --concurrency 100
+//   npm run benchmark -- --url http://my-alb/api/request   # existing server, no spawn
+//
+// NOTE: Batch mode answers before the row is written, so its latency
+// measures "request accepted", not "row committed". Compare throughput
+// and check that row counts match in the database afterwards.
+// ============================================
+
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { performance } = require('perf_hooks');
+
+// --name value pairs → { name: value }
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return {
+        requests: parseInt(args.requests, 10) || 2000,
+        concurrency: parseInt(args.concurrency, 10) || 50,
+        port: parseInt(args.port, 10) || 3999,
+        url: args.url || null
+    };
+}
+
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) {
+        return 0;
+    }
+    const rank = Math.ceil((p / 100) * sortedValues.length);
+    return sortedValues[Math.min(sortedValues.length, Math.max(1, rank)) - 1];
+}
+
+function sendRequest(url, agent) {
+    return new Promise((resolve) => {
+        const started = performance.now();
+        const req = http.get(url, { agent }, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => {
+                let dbStatus = 'unknown';
+                try {
+                    dbStatus = JSON.parse(body).db_status;
+                } catch (error) {
+                    // Non-JSON response counts as failed below
+                }
+                resolve({ ok: res.statusCode === 200, dbStatus, ms: performance.now() - started });
+            });
+        });
+        req.on('error', () => resolve({ ok: false, dbStatus: 'error', ms: performance.now() - started }));
+    });
+}
+
+async function runLoad(url, requests, concurrency) {
+    // Keep-alive agent: measure the server, not TCP handshakes
+    const agent = new http.Agent({ keepAlive: true, maxSockets: concurrency });
+    const latencies = [];
+    const statuses = {};
+    let next = 0;
+    let failed = 0;
+
+    const started = performance.now();
+    const workers = Array.from({ length: concurrency }, async () => {
+        while (next < requests) {
+            next++;
+            const result = await sendRequest(url, agent);
+            latencies.push(result.ms);
+            statuses[result.dbStatus] = (statuses[result.dbStatus] || 0) + 1;
+            if (!result.ok) {
+                failed++;
+            }
+        }
+    });
+    await Promise.all(workers);
+    const elapsedSec = (performance.now() - started) / 1000;
+    agent.destroy();
+
+    latencies.sort((a, b) => a - b);
+    return {
+        requests,
+        failed,
+        statuses,
+        elapsedSec,
+        throughput: requests / elapsedSec,
+        p50: percentile(latencies, 50),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99)
+    };
+}
+
+async function waitForReady(port, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const ready = await new Promise(resolve => {
+            http.get(`http://127.0.0.1:${port}/health/ready`, res => {
+                res.resume();
+                resolve(res.statusCode === 200);
+            }).on('error', () => resolve(false));
+        });
+        if (ready) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    throw new Error(`Server on port ${port} not ready after ${timeoutMs}ms (is the database running?)`);
+}
+
+// Start server.js with the given write mode, run the load, stop it again
+async function benchmarkMode(mode, options) {
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        // Rate limiting off: all benchmark requests come from one client IP
+        // Auth off: the load sends no API key (AUTH_ENABLED=true in .env would 401 every request)
+        env: {
+            ...process.env,
+            PORT: String(options.port),
+            WRITE_MODE: mode,
+            SHUTDOWN_GRACE_MS: '1',
+            RATE_LIMIT_ENABLED: 'false',
+            AUTH_ENABLED: 'false'
+        },
+        stdio: 'ignore'
+    });
+
+    try {
+        await waitForReady(options.port, 15000);
+        console.log(`⏱️  ${mode}: ${options.requests} requests, ${options.concurrency} concurrent...`);
+        return await runLoad(`http://127.0.0.1:${options.port}/api/request`, options.requests, options.concurrency);
+    } finally {
+        // SIGTERM → graceful shutdown, which also flushes the batch queue
+        await new Promise(resolve => {
+            child.once('exit', resolve);
+            child.kill('SIGTERM');
+        });
+    }
+}
+
+function printResults(results) {
+    const rows = [
+        ['Throughput (req/s)', r => r.throughput.toFixed(1)],
+        ['Total time (s)', r => r.elapsedSec.toFixed(2)],
+        ['Latency p50 (ms)', r => r.p50.toFixed(1)],
+        ['Latency p95 (ms)', r => r.p95.toFixed(1)],
+        ['Latency p99 (ms)', r => r.p99.toFixed(1)],
+        ['Failed requests', r => String(r.failed)],
+        ['db_status counts', r => Object.entries(r.statuses).map(([status, count]) => `${status}=${count}`).join(' ')]
+    ];
+
+    console.log('');
+    console.log(['Metric'.padEnd(20), ...Object.keys(results).map(mode => mode.padEnd(24))].join(' | '));
+    console.log('-'.repeat(20 + Object.keys(results).length * 27));
+    rows.forEach(([label, format]) => {
+        console.log([label.padEnd(20), ...Object.values(results).map(r => format(r).padEnd(24))].join(' | '));
+    });
+    console.log('');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Existing server (e.g. behind the ALB): just measure it
+    if (options.url) {
+        console.log(`⏱️  ${options.url}: ${options.requests} requests, ${options.concurrency} concurrent...`);
+        printResults({ target: await runLoad(options.url, options.requests, options.concurrency) });
+        return;
+    }
+
+    const results = {};
+    for (const mode of ['sync', 'batch']) {
+        results[mode] = await benchmarkMode(mode, options);
+    }
+    printResults(results);
+}
+
+main().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,127 @@
+// ============================================
+// CloudTrace Circuit Breaker
+// ============================================
+//
+// PURPOSE: Fail fast while the database is down instead of making every
+// request wait for DB_CONNECTION_TIMEOUT_MS (plus three retries)
+//
+// STATES:
+// - closed:    calls go through; failureThreshold failures IN A ROW → open
+// - open:      calls fail at once with CircuitOpenError, for resetTimeoutMs
+// - half_open: ONE call goes through as a probe (the next request or /health)
+//              success → closed, failure → open for another resetTimeoutMs
+//              (other calls keep failing fast while the probe runs)
+//
+// WHAT COUNTS AS A FAILURE: isFailure(error) - "the database is unreachable"
+// - Any other error (duplicate key, bad SQL, statement timeout) proves the
+//   database answered, so it counts as a success
+//
+// EVENTS: 'state' ({ from, to, error }) on every transition - the caller logs it
+// ============================================
+
+const { EventEmitter } = require('events');
+
+const STATES = ['closed', 'open', 'half_open'];
+
+// Thrown instead of calling the database while the breaker is open
+class CircuitOpenError extends Error {
+    constructor(retryInMs) {
+        super(`Database circuit breaker is open, next probe in ${retryInMs}ms`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.retryInMs = retryInMs;
+    }
+}
+
+class CircuitBreaker extends EventEmitter {
+    constructor({ failureThreshold = 5, resetTimeoutMs = 10000, isFailure = () => true, now = Date.now } = {}) {
+        super();
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.isFailure = isFailure;
+        this.now = now;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    // Runs fn() unless the breaker is open; its outcome moves the breaker
+    async run(fn) {
+        this.acquire();
+        const isProbe = this.state === 'half_open';
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.onFailure(error);
+            } else {
+                this.onSuccess();
+            }
+            throw error;
+        } finally {
+            if (isProbe) {
+                this.probeInFlight = false;
+            }
+        }
+    }
+
+    // Throws CircuitOpenError, or lets the call through (as the probe when half-open)
+    acquire() {
+        if (this.state === 'open') {
+            const retryInMs = this.openedAt + this.resetTimeoutMs - this.now();
+            if (retryInMs > 0) {
+                throw new CircuitOpenError(retryInMs);
+            }
+            this.transition('half_open');
+        }
+        if (this.state === 'half_open') {
+            if (this.probeInFlight) {
+                throw new CircuitOpenError(this.resetTimeoutMs);
+            }
+            this.probeInFlight = true;
+        }
+    }
+
+    onSuccess() {
+        this.consecutiveFailures = 0;
+        if (this.state !== 'closed') {
+            this.openedAt = null;
+            this.transition('closed');
+        }
+    }
+
+    onFailure(error) {
+        this.consecutiveFailures++;
+        // A failed probe re-opens at once; closed waits for the threshold
+        if (this.state === 'half_open' || (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+            this.openedAt = this.now();
+            this.transition('open', error);
+        }
+    }
+
+    transition(to, error = null) {
+        const from = this.state;
+        this.state = to;
+        this.emit('state', { from, to, error });
+    }
+
+    // For /health
+    status() {
+        return {
+            state: this.state,
+            consecutive_failures: this.consecutiveFailures,
+            ...(this.state === 'open' && {
+                retry_in_ms: Math.max(0, this.openedAt + this.resetTimeoutMs - this.now())
+            })
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError,
+    STATES
+};
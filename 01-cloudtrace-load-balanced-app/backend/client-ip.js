@@ -0,0 +1,147 @@
+// ============================================
+// CloudTrace Client IP Resolution
+// ============================================
+//
+// PURPOSE: Find the real client address behind the ALB (or any proxy chain)
+//
+// THE PROBLEM:
+// - Behind the ALB, the TCP peer is the load balancer, not the browser
+// - The ALB appends the address it saw to X-Forwarded-For:
+//     X-Forwarded-For: <what the client sent>, <client seen by the ALB>
+// - Everything left of the last trusted hop is client-controlled → spoofable
+//
+// HOW IT WORKS:
+// 1. Hops = addresses from Forwarded (RFC 7239) or X-Forwarded-For, then the TCP peer
+// 2. Walk from the right (closest hop) to the left
+// 3. Skip hops inside TRUSTED_PROXIES (e.g. the ALB subnets)
+// 4. The first untrusted hop is the client
+//    (a direct connection from an untrusted peer → the peer itself, headers ignored)
+//
+// TRUSTED_PROXIES:
+// - CIDR list:   10.0.1.0/24, 10.0.2.0/24    (ALB subnets)
+// - Presets:     loopback (127.0.0.0/8, ::1), private (10/8, 172.16/12, 192.168/16, fc00::/7)
+// ============================================
+
+const net = require('net');
+
+const PRESETS = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10']
+};
+
+// Keep stored chains bounded (client_ip is VARCHAR(45), forwarded_for is TEXT)
+const MAX_HOPS = 20;
+
+// "::ffff:10.0.0.1" (IPv4 on a dual-stack socket) → "10.0.0.1"
+function normalizeAddress(address) {
+    if (!address) {
+        return null;
+    }
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped ? mapped[1] : address;
+}
+
+// One hop as written by a proxy → bare IP, or null (unknown, obfuscated, garbage)
+// "203.0.113.7", "203.0.113.7:4711", "[2001:db8::1]:4711", "2001:db8::1"
+function parseHop(value) {
+    let address = value.trim().replace(/^"|"$/g, '');
+    const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+    if (bracketed) {
+        address = bracketed[1];
+    } else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(address)) {
+        address = address.slice(0, address.lastIndexOf(':'));
+    }
+    address = normalizeAddress(address);
+    return net.isIP(address) ? address : null;
+}
+
+// RFC 7239: Forwarded: for=192.0.2.60;proto=http;by=203.0.113.43, for="[2001:db8::1]"
+// → the "for" value of each element, in order
+function parseForwardedHeader(header) {
+    return header.split(',').map(element => {
+        const pair = element.split(';')
+            .map(part => part.trim())
+            .find(part => part.toLowerCase().startsWith('for='));
+        return pair ? pair.slice(4) : '';
+    });
+}
+
+class TrustedProxies {
+    // entries: CIDRs, single addresses or preset names
+    constructor(entries = []) {
+        this.entries = entries;
+        this.blockList = new net.BlockList();
+
+        entries.flatMap(entry => PRESETS[entry] || [entry]).forEach(entry => {
+            const [address, prefixText] = entry.split('/');
+            const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+            const prefix = prefixText === undefined ? (type === 'ipv6' ? 128 : 32) : Number(prefixText);
+            this.blockList.addSubnet(address, prefix, type);
+        });
+    }
+
+    // "10.0.1.0/24" → null when valid, otherwise why not
+    static validate(entry) {
+        if (PRESETS[entry]) {
+            return null;
+        }
+        const [address, prefixText, extra] = entry.split('/');
+        const version = net.isIP(address);
+        if (!version || extra !== undefined) {
+            return `"${entry}" is not an address, CIDR or preset (${Object.keys(PRESETS).join(', ')})`;
+        }
+        const maxPrefix = version === 6 ? 128 : 32;
+        if (prefixText !== undefined && !(/^\d+$/.test(prefixText) && Number(prefixText) <= maxPrefix)) {
+            return `"${entry}" has an invalid prefix length (0-${maxPrefix})`;
+        }
+        return null;
+    }
+
+    contains(address) {
+        if (!address) {
+            return false;
+        }
+        return this.blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+}
+
+// Returns { clientIp, forwardedFor }
+// - clientIp: best guess at the real client ("unknown" if a trusted proxy hid it)
+// - forwardedFor: every hop, client side first, TCP peer last; null for direct connections
+function resolveClientAddress(req, trustedProxies) {
+    const peer = normalizeAddress(req.socket.remoteAddress) || 'unknown';
+
+    // Forwarded (standard) wins over X-Forwarded-For (de facto) when both are present
+    const forwardedHeader = req.headers.forwarded;
+    const xForwardedFor = req.headers['x-forwarded-for'];
+    let rawHops = [];
+    if (forwardedHeader) {
+        rawHops = parseForwardedHeader(forwardedHeader);
+    } else if (xForwardedFor) {
+        rawHops = xForwardedFor.split(',');
+    }
+    rawHops = rawHops.slice(-MAX_HOPS);
+
+    const hops = [...rawHops.map(parseHop), peer];
+    const forwardedFor = rawHops.length > 0
+        ? hops.map(hop => hop || 'unknown').join(', ')
+        : null;
+
+    // Walk right to left while the hop that told us about the next one is trusted
+    let index = hops.length - 1;
+    while (index > 0 && trustedProxies.contains(hops[index])) {
+        index--;
+    }
+
+    return {
+        clientIp: hops[index] || 'unknown',
+        forwardedFor
+    };
+}
+
+module.exports = {
+    TrustedProxies,
+    resolveClientAddress,
+    PRESETS
+};
@@ -0,0 +1,106 @@
+// ============================================
+// CloudTrace CORS Policy
+// ============================================
+//
+// PURPOSE: One place that decides which browser origins may call the API
+//
+// HOW IT WORKS:
+// 1. applyHeaders(req, res) runs for EVERY request, before routing
+//    → 200s, 404s and 500s all carry the same headers (res.setHeader merges
+//      into whatever writeHead sends later)
+// 2. Preflight (OPTIONS + Access-Control-Request-Method) is answered here:
+//    204 with allowed methods/headers and Max-Age; an unknown origin is left to
+//    the caller, which answers 403 in the router's error envelope
+//
+// ORIGINS:
+// - ["*"]                              any origin (default, no credentials)
+// - ["https://app.example.com", ...]   only these; the matching origin is echoed
+//   back with "Vary: Origin" so caches (CloudFront) keep one copy per origin
+//
+// WHY 404/500 NEED CORS HEADERS:
+// - Without them the browser hides the response and reports a "CORS error"
+// - With them the frontend can read the real status and error message
+// ============================================
+
+class CorsPolicy {
+    // origins:     allowed origins, or ['*']
+    // credentials: send Access-Control-Allow-Credentials (cookies, auth headers)
+    // maxAgeSeconds: how long browsers may cache a preflight answer
+    constructor({
+        origins = ['*'],
+        credentials = false,
+        maxAgeSeconds = 600,
+        allowMethods = ['GET', 'POST', 'OPTIONS'],
+        allowHeaders = [],
+        exposeHeaders = []
+    } = {}) {
+        this.anyOrigin = origins.includes('*');
+        this.origins = new Set(origins);
+        this.credentials = credentials;
+        this.maxAgeSeconds = maxAgeSeconds;
+        this.allowMethods = allowMethods.join(', ');
+        this.allowHeaders = allowHeaders.join(', ');
+        this.exposeHeaders = exposeHeaders.join(', ');
+    }
+
+    isAllowed(origin) {
+        return this.anyOrigin || this.origins.has(origin);
+    }
+
+    // Value for Access-Control-Allow-Origin, or null when the origin is not allowed
+    allowOriginFor(origin) {
+        if (!origin || !this.isAllowed(origin)) {
+            return null;
+        }
+        // Credentialed requests must name the origin, "*" is rejected by browsers
+        return this.anyOrigin && !this.credentials ? '*' : origin;
+    }
+
+    // Headers for every response; returns whether the origin is allowed
+    applyHeaders(req, res) {
+        const origin = req.headers.origin;
+        if (!this.anyOrigin || this.credentials) {
+            res.setHeader('Vary', 'Origin');
+        }
+
+        const allowOrigin = this.allowOriginFor(origin);
+        if (!allowOrigin) {
+            return false;
+        }
+
+        res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+        // Lets the frontend read Server-Timing durations from another origin
+        res.setHeader('Timing-Allow-Origin', allowOrigin);
+        if (this.credentials) {
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+        if (this.exposeHeaders) {
+            res.setHeader('Access-Control-Expose-Headers', this.exposeHeaders);
+        }
+        return true;
+    }
+
+    isPreflight(req) {
+        return req.method === 'OPTIONS' && Boolean(req.headers['access-control-request-method']);
+    }
+
+    // Answer a preflight; call after applyHeaders
+    // Returns false (nothing sent) when the origin is not allowed
+    handlePreflight(req, res) {
+        if (!this.allowOriginFor(req.headers.origin)) {
+            return false;
+        }
+
+        res.writeHead(204, {
+            'Access-Control-Allow-Methods': this.allowMethods,
+            'Access-Control-Allow-Headers': this.allowHeaders,
+            'Access-Control-Max-Age': String(this.maxAgeSeconds)
+        });
+        res.end();
+        return true;
+    }
+}
+
+module.exports = {
+    CorsPolicy
+};
@@ -0,0 +1,289 @@
+// ============================================
+// CloudTrace Database Cluster
+// ============================================
+//
+// PURPOSE: Standby failover for the primary, lag-aware read replicas for reads
+//
+// TOPOLOGY (DB_HOST, DB_STANDBY_HOST, DB_REPLICA_HOSTS - see config.js):
+// - primary:  writes, migrations, maintenance, API keys, rate-limit buckets, LISTEN
+// - standby:  takes over when the primary fails with a connection exception
+//             (the 08xxx codes of the transient error list, see storage.js)
+// - replicas: read API and stats, while their replication lag is at most
+//             DB_REPLICA_MAX_LAG_MS - otherwise those reads go to the primary
+//
+// FAILOVER (FailoverPool):
+// - Has the pg Pool interface (query, connect, end, on, *Count), so storage,
+//   auth, rate limits, maintenance and migrations use it unchanged
+// - At most one switch per DB_FAILOVER_COOLDOWN_MS: the old node's remaining
+//   connections fail too, and must not bounce us straight back
+// - An optional circuit breaker (circuit-breaker.js) guards query() and
+//   connect(): while it is open they fail fast instead of waiting to connect
+// - No automatic failback: after an RDS failover the old primary comes back as
+//   the standby. We only switch again when the active node fails
+// - The failing query is not repeated here: the write path retries transient
+//   errors anyway, and the retry lands on the new node
+//
+// REPLICA LAG (ReplicaSet):
+// - Measured on every replica each DB_REPLICA_CHECK_INTERVAL_MS
+// - Lag = age of the last replayed transaction, or 0 when everything received
+//   has been replayed (an idle primary must not look like lag)
+// - Unreachable or lagging replicas are skipped until a check says otherwise
+// ============================================
+
+const { EventEmitter } = require('events');
+const { TRANSIENT_PG_ERROR_CODES } = require('./storage');
+
+// SQLSTATE class 08 (connection exception) from the transient list
+const FAILOVER_ERROR_CODES = new Set([...TRANSIENT_PG_ERROR_CODES].filter(code => code.startsWith('08')));
+
+// "db-a.internal:5432" for logs and /health
+function describeEndpoint({ host, port }) {
+    return `${host}:${port}`;
+}
+
+// ============================================
+// PRIMARY / STANDBY
+// ============================================
+
+class FailoverPool extends EventEmitter {
+    // endpoints:   [{ name: 'primary', connection, pool? }, { name: 'standby', connection }]
+    // createPool:  pg options → Pool, for endpoints without a pool (standby: on first use)
+    // breaker:     CircuitBreaker, or null
+    // Emits 'failover' ({ from, to, error }) - the caller logs it
+    constructor({ endpoints, poolOptions = {}, createPool, cooldownMs = 30000, breaker = null }) {
+        super();
+        this.endpoints = endpoints;
+        this.poolOptions = poolOptions;
+        this.createPool = createPool;
+        this.cooldownMs = cooldownMs;
+        this.breaker = breaker;
+        this.pools = new Map();  // endpoint name → Pool
+        this.activeIndex = 0;
+        this.lastFailoverAt = null;
+        this.failovers = 0;
+        // The primary right away: end() must close it even if nothing ran a query
+        this.poolFor(endpoints[0]);
+    }
+
+    get active() {
+        return this.endpoints[this.activeIndex];
+    }
+
+    poolFor(endpoint) {
+        if (!this.pools.has(endpoint.name)) {
+            const pool = endpoint.pool || this.createPool({ ...endpoint.connection, ...this.poolOptions });
+            // Idle connection dropped (node restarted): pass it on like a plain Pool would
+            pool.on('error', error => {
+                this.handleError(endpoint, error);
+                this.emit('error', error);
+            });
+            this.pools.set(endpoint.name, pool);
+        }
+        return this.pools.get(endpoint.name);
+    }
+
+    // Connection exception on the active node → switch to the next endpoint
+    handleError(endpoint, error) {
+        if (!FAILOVER_ERROR_CODES.has(error.code) || this.endpoints.length < 2 || endpoint !== this.active) {
+            return;
+        }
+        if (this.lastFailoverAt !== null && Date.now() - this.lastFailoverAt < this.cooldownMs) {
+            return;
+        }
+
+        this.activeIndex = (this.activeIndex + 1) % this.endpoints.length;
+        this.lastFailoverAt = Date.now();
+        this.failovers++;
+        this.emit('failover', { from: endpoint, to: this.active, error });
+    }
+
+    guard(fn) {
+        return this.breaker ? this.breaker.run(fn) : fn();
+    }
+
+    query(...args) {
+        return this.guard(() => this.queryActive(...args));
+    }
+
+    async queryActive(...args) {
+        const endpoint = this.active;
+        try {
+            return await this.poolFor(endpoint).query(...args);
+        } catch (error) {
+            this.handleError(endpoint, error);
+            throw error;
+        }
+    }
+
+    connect() {
+        return this.guard(() => this.connectActive());
+    }
+
+    // Errors on the checked-out client count too (BEGIN / INSERT / COMMIT)
+    async connectActive() {
+        const endpoint = this.active;
+        let client;
+        try {
+            client = await this.poolFor(endpoint).connect();
+        } catch (error) {
+            this.handleError(endpoint, error);
+            throw error;
+        }
+        return {
+            query: (...args) => client.query(...args).catch(error => {
+                this.handleError(endpoint, error);
+                throw error;
+            }),
+            release: (...args) => client.release(...args)
+        };
+    }
+
+    // Pool gauges report the active node's pool
+    activePoolCount(name) {
+        const pool = this.pools.get(this.active.name);
+        return pool ? pool[name] : 0;
+    }
+
+    get totalCount() {
+        return this.activePoolCount('totalCount');
+    }
+
+    get idleCount() {
+        return this.activePoolCount('idleCount');
+    }
+
+    get waitingCount() {
+        return this.activePoolCount('waitingCount');
+    }
+
+    // For /health: which node takes the writes
+    status() {
+        return {
+            active: this.active.name,
+            host: describeEndpoint(this.active.connection),
+            failovers: this.failovers,
+            ...(this.lastFailoverAt !== null && { last_failover_at: new Date(this.lastFailoverAt).toISOString() })
+        };
+    }
+
+    async end() {
+        // Several endpoints may share one injected pool (tests)
+        await Promise.all([...new Set(this.pools.values())].map(pool => pool.end()));
+    }
+}
+
+// ============================================
+// READ REPLICAS
+// ============================================
+
+// NULL / 0 on a node that is not replicating (promoted replica): no lag
+const REPLICA_LAG_SQL = `
+    SELECT CASE
+        WHEN NOT pg_is_in_recovery() THEN 0
+        WHEN pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() THEN 0
+        ELSE EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp()) * 1000
+    END AS lag_ms
+`;
+
+class ReplicaSet {
+    // replicas:   [{ host, port }]; connection: user, password, database, SSL of the primary
+    constructor({ replicas, connection, poolOptions = {}, createPool, maxLagMs, checkIntervalMs, logger = console }) {
+        this.maxLagMs = maxLagMs;
+        this.checkIntervalMs = checkIntervalMs;
+        this.logger = logger;
+        this.timer = null;
+        this.next = 0;
+        this.replicas = replicas.map(({ host, port }) => ({
+            name: describeEndpoint({ host, port }),
+            pool: createPool({ ...connection, host, port, ...poolOptions }),
+            reachable: false,  // Not used before the first check
+            lagMs: null,
+            usable: false,
+            lastError: null
+        }));
+        // Idle connection dropped: the next check or query notices
+        this.replicas.forEach(replica => replica.pool.on('error', () => {}));
+    }
+
+    start() {
+        this.check();
+        this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async check() {
+        await Promise.all(this.replicas.map(replica => this.checkReplica(replica)));
+    }
+
+    async checkReplica(replica) {
+        try {
+            const result = await replica.pool.query(REPLICA_LAG_SQL);
+            const lagMs = result.rows[0].lag_ms;
+            replica.reachable = true;
+            replica.lagMs = lagMs === null ? null : Math.round(Number(lagMs));
+            replica.lastError = null;
+        } catch (error) {
+            replica.reachable = false;
+            replica.lastError = error.message;
+        }
+        this.updateUsable(replica);
+    }
+
+    // Logged on changes only: the check runs every few seconds
+    updateUsable(replica) {
+        const usable = replica.reachable && replica.lagMs !== null && replica.lagMs <= this.maxLagMs;
+        if (usable && !replica.usable) {
+            this.logger.info('Read replica in use', { replica: replica.name, lag_ms: replica.lagMs });
+        } else if (!usable && replica.usable) {
+            this.logger.warn('Read replica skipped, reads go elsewhere', {
+                replica: replica.name,
+                lag_ms: replica.lagMs,
+                max_lag_ms: this.maxLagMs,
+                error: replica.lastError
+            });
+        }
+        replica.usable = usable;
+    }
+
+    // A query on this replica failed with a connection error: skip it until the next check
+    markDown(replica, error) {
+        replica.reachable = false;
+        replica.lastError = error.message;
+        this.updateUsable(replica);
+    }
+
+    // Round-robin over usable replicas; null → read from the primary
+    pick() {
+        const usable = this.replicas.filter(replica => replica.usable);
+        if (usable.length === 0) {
+            return null;
+        }
+        return usable[this.next++ % usable.length];
+    }
+
+    status() {
+        return this.replicas.map(replica => ({
+            host: replica.name,
+            in_use: replica.usable,
+            lag_ms: replica.lagMs,
+            ...(replica.lastError && { error: replica.lastError })
+        }));
+    }
+
+    async end() {
+        this.stop();
+        await Promise.all(this.replicas.map(replica => replica.pool.end()));
+    }
+}
+
+module.exports = {
+    describeEndpoint,
+    FailoverPool,
+    ReplicaSet,
+    FAILOVER_ERROR_CODES
+};
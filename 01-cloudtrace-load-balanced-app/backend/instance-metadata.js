@@ -0,0 +1,123 @@
+// ============================================
+// CloudTrace Instance Identity
+// ============================================
+//
+// PURPOSE: Say more than the hostname about who served a request:
+// EC2 instance ID, availability zone, instance type, app version and git SHA
+//
+// WHERE IT SHOWS UP: /api/request responses, /health, every stored
+// request_logs row, the live stream - and the frontend groups by AZ with it
+//
+// EC2 INSTANCE METADATA SERVICE, VERSION 2 (INSTANCE_METADATA_ENABLED=true):
+// 1. PUT /latest/api/token  (X-aws-ec2-metadata-token-ttl-seconds) → session token
+// 2. GET /latest/meta-data/<path>  (X-aws-ec2-metadata-token: <token>)
+// - IMDSv2 only: instances that require tokens (HttpTokens=required) work too
+// - Read ONCE at startup: none of these values change while the instance runs
+//
+// OFF AWS (laptop, Docker, CI): 169.254.169.254 doesn't answer, so every
+// fetch gives up after INSTANCE_METADATA_TIMEOUT_MS and the fields stay null.
+// The server starts either way; app version and git SHA are always known.
+//
+// LOCAL TESTING: `npm run mock-imds` starts a fake metadata service
+// (test/helpers/fake-imds.js), then set INSTANCE_METADATA_ENDPOINT to it
+// ============================================
+
+const http = require('http');
+const { execFileSync } = require('child_process');
+
+const TOKEN_TTL_SECONDS = 21600;  // 6 hours, the IMDSv2 maximum
+
+// Response field → metadata path
+const METADATA_PATHS = {
+    instance_id: 'instance-id',
+    availability_zone: 'placement/availability-zone',
+    instance_type: 'instance-type'
+};
+
+// GIT_SHA from the deploy, else the checkout we run from, else null (zip deploy)
+function resolveGitSha(configured) {
+    if (configured) {
+        return configured;
+    }
+    try {
+        return execFileSync('git', ['rev-parse', 'HEAD'], {
+            cwd: __dirname,
+            timeout: 2000,
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).toString().trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+class InstanceMetadataClient {
+    // endpoint: base URL of the metadata service (default http://169.254.169.254)
+    constructor({ endpoint, timeoutMs = 1000 }) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.timeoutMs = timeoutMs;
+    }
+
+    request(method, path, headers) {
+        return new Promise((resolve, reject) => {
+            const req = http.request(`${this.endpoint}${path}`, { method, headers, timeout: this.timeoutMs }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    body += chunk;
+                });
+                res.on('end', () => {
+                    if (res.statusCode === 200) {
+                        resolve(body.trim());
+                    } else {
+                        reject(new Error(`Metadata service answered ${path} with HTTP ${res.statusCode}`));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`Metadata service did not respond within ${this.timeoutMs}ms`)));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    // → { instance_id, availability_zone, instance_type }; throws if IMDS is unreachable
+    async fetch() {
+        const token = await this.request('PUT', '/latest/api/token', {
+            'X-aws-ec2-metadata-token-ttl-seconds': String(TOKEN_TTL_SECONDS)
+        });
+        const entries = await Promise.all(Object.entries(METADATA_PATHS).map(async ([field, path]) => [
+            field,
+            await this.request('GET', `/latest/meta-data/${path}`, { 'X-aws-ec2-metadata-token': token })
+        ]));
+        return Object.fromEntries(entries);
+    }
+}
+
+// Identity for this process → { instance_id, availability_zone, instance_type, app_version, git_sha }
+// Never throws: metadata that can't be read is null (and logged once)
+async function loadInstanceIdentity({ metadataEnabled, metadataEndpoint, metadataTimeoutMs, appVersion, gitSha }, logger = console) {
+    const identity = {
+        instance_id: null,
+        availability_zone: null,
+        instance_type: null,
+        app_version: appVersion,
+        git_sha: resolveGitSha(gitSha)
+    };
+    if (!metadataEnabled) {
+        return identity;
+    }
+
+    try {
+        const client = new InstanceMetadataClient({ endpoint: metadataEndpoint, timeoutMs: metadataTimeoutMs });
+        Object.assign(identity, await client.fetch());
+        logger.info('Instance metadata loaded', identity);
+    } catch (error) {
+        logger.warn('Instance metadata unavailable, continuing without it', { endpoint: metadataEndpoint, err: error });
+    }
+    return identity;
+}
+
+module.exports = {
+    InstanceMetadataClient,
+    loadInstanceIdentity,
+    resolveGitSha
+};
@@ -0,0 +1,124 @@
+// ============================================
+// CloudTrace Structured Logger
+// ============================================
+//
+// PURPOSE: One JSON object per line, so log pipelines
+// (CloudWatch Logs Insights, Loki, Elasticsearch) can parse and filter them
+//
+// EXAMPLE LINE:
+// {"level":"info","time":"2024-01-01T12:00:00.000Z","hostname":"ip-172-31-45-123",
+//  "msg":"Request completed","request_id":"550e8400-...","route":"/api/request",
+//  "method":"GET","status":200,"duration_ms":12.3}
+//
+// KEY CONCEPTS:
+// 1. Levels     - debug < info < warn < error; lines below LOG_LEVEL are skipped
+// 2. Fields     - Structured data next to the message instead of inside it
+// 3. Child      - logger.child({ request_id }) adds fields to every line it writes
+// 4. Formats    - "json" (default, for pipelines) or "pretty" (for a local terminal)
+//
+// WHY EVERYTHING GOES TO STDOUT:
+// - One stream keeps lines in order
+// - The level field (not the stream) tells errors apart
+// ============================================
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+const PRETTY_ICONS = {
+    debug: '🔍',
+    info: 'ℹ️ ',
+    warn: '⚠️ ',
+    error: '❌'
+};
+
+// Errors don't survive JSON.stringify (message and stack are not enumerable)
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    return {
+        type: error.name,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+class Logger {
+    // fields: added to every line (e.g. hostname, request_id)
+    // write(line): where lines go (stdout by default)
+    constructor({ level = 'info', format = 'json', fields = {}, write } = {}) {
+        this.level = LEVELS[level] ? level : 'info';
+        this.format = format === 'pretty' ? 'pretty' : 'json';
+        this.fields = fields;
+        this.write = write || (line => process.stdout.write(line));
+    }
+
+    // Same settings, more fields
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            fields: { ...this.fields, ...fields },
+            write: this.write
+        });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            level,
+            time: new Date().toISOString(),
+            ...this.fields,
+            msg
+        };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== undefined) {
+                entry[key] = key === 'err' ? serializeError(value) : value;
+            }
+        });
+
+        this.write(`${this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+// "12:00:00.000 ✅ Request completed request_id=550e... status=200"
+function formatPretty({ level, time, msg, hostname, err, ...fields }) {
+    const pairs = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    const line = `${time.slice(11, 23)} ${PRETTY_ICONS[level]} ${msg}${pairs ? ` ${pairs}` : ''}`;
+    return err && err.stack ? `${line}\n${err.stack}` : line;
+}
+
+module.exports = {
+    Logger,
+    LEVELS
+};
@@ -0,0 +1,381 @@
+// ============================================
+// CloudTrace Request Log Maintenance
+// ============================================
+//
+// PURPOSE: Keep request_logs bounded (see migrations 010 and 011)
+//
+// EACH RUN:
+// 1. Partitions - create the current and the next PARTITION_PREMAKE
+//    day/month partitions, so inserts never land in request_logs_default
+// 2. Rollup     - count requests per server per completed hour into
+//                 request_log_hourly (kept forever, survives retention)
+// 3. Retention  - DROP partitions older than RETENTION_DAYS (0 = keep all),
+//                 delete old rows from the default partition and the
+//                 request_ids claims (migration 013) no row needs any more
+// Rollup runs BEFORE retention so no hour is dropped uncounted
+//
+// LEADER ELECTION:
+// - Every instance schedules the task, only one runs it at a time:
+//   pg_try_advisory_lock on a dedicated connection (key 427002)
+// - Lock taken → someone else is running it → skip, no waiting
+// - maintenance_runs.last_run_at: an instance that gets the lock right after
+//   another finished skips too (one run per interval across the fleet)
+//
+// TIME ZONE: request_logs.timestamp is a TIMESTAMP (no time zone) holding the
+// server's local wall-clock time, so partition bounds and hours are computed
+// in local time as well
+//
+// USAGE (run now, ignoring the interval):
+//   npm run maintenance
+// ============================================
+
+// Next to the migration lock (427001) - must not collide with it
+const MAINTENANCE_LOCK_KEY = 427002;
+
+const TASK_NAME = 'request_logs';
+
+// Rows can arrive late (spool replay, batch flush): recount the last day
+const ROLLUP_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// One rollup statement per day at most (the first run may cover months)
+const ROLLUP_CHUNK_MS = 24 * 60 * 60 * 1000;
+
+// 23514 = check_violation: the default partition already holds rows of the new range
+const CHECK_VIOLATION = '23514';
+
+// ============================================
+// LOCAL TIME HELPERS
+// ============================================
+
+function startOfPeriod(date, interval) {
+    return interval === 'day'
+        ? new Date(date.getFullYear(), date.getMonth(), date.getDate())
+        : new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function addPeriods(date, interval, count) {
+    return interval === 'day'
+        ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + count)
+        : new Date(date.getFullYear(), date.getMonth() + count, 1);
+}
+
+function startOfHour(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours());
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+// Date → '2024-01-15 00:00:00' (local), the form partition bounds are written in
+function formatTimestamp(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// '2024-01-15 00:00:00' → local Date
+function parseTimestamp(text) {
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = text.split(/[-: ]/).map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+// request_logs_p202401 (month) / request_logs_p20240115 (day)
+function partitionName(start, interval) {
+    const day = interval === 'day' ? pad(start.getDate()) : '';
+    return `request_logs_p${start.getFullYear()}${pad(start.getMonth() + 1)}${day}`;
+}
+
+function quoteIdent(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+// ============================================
+// MAINTENANCE TASK
+// ============================================
+
+class RequestLogMaintenance {
+    // partitionInterval: 'day' or 'month'
+    // premake:           future partitions to keep ready
+    // retentionDays:     drop request logs older than this (0 = never)
+    // rollupEnabled:     maintain request_log_hourly
+    // intervalMs:        how often the fleet runs the task
+    constructor({ pool, partitionInterval, premake, retentionDays, rollupEnabled, intervalMs, logger = console }) {
+        this.pool = pool;
+        this.partitionInterval = partitionInterval;
+        this.premake = premake;
+        this.retentionDays = retentionDays;
+        this.rollupEnabled = rollupEnabled;
+        this.intervalMs = intervalMs;
+        this.logger = logger;
+        this.timer = null;
+        this.running = null;  // Promise of the run in progress, if any
+    }
+
+    // Run once now, then every intervalMs
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.runInBackground();
+        this.timer = setInterval(() => this.runInBackground(), this.intervalMs);
+        // Don't keep the process alive just for housekeeping
+        this.timer.unref();
+    }
+
+    // Stops scheduling and waits for a run in progress (it needs the pool)
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.running;
+    }
+
+    runInBackground() {
+        if (this.running) {
+            return;
+        }
+        this.running = this.run()
+            .then(result => {
+                if (result.skipped) {
+                    this.logger.debug('Maintenance skipped', { reason: result.skipped });
+                } else {
+                    this.logger.info('Maintenance completed', result);
+                }
+            })
+            .catch(error => this.logger.warn('Maintenance failed', { err: error }))
+            .finally(() => {
+                this.running = null;
+            });
+    }
+
+    // One maintenance pass; force ignores the "ran recently" check
+    // Returns { created, dropped, default_rows_deleted, request_ids_deleted, rollup_hours, duration_ms }
+    // or { skipped: 'locked' | 'recent' }
+    async run({ force = false, now = new Date() } = {}) {
+        const client = await this.pool.connect();
+        let clientError = null;
+        try {
+            const lock = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [MAINTENANCE_LOCK_KEY]);
+            if (!lock.rows[0].acquired) {
+                return { skipped: 'locked' };
+            }
+
+            try {
+                if (!force && await this.ranRecently(client)) {
+                    return { skipped: 'recent' };
+                }
+
+                const started = Date.now();
+                const created = await this.ensurePartitions(client, now);
+                const rollupHours = this.rollupEnabled ? await this.rollupHourly(client, now) : 0;
+                const { dropped, defaultRowsDeleted, requestIdsDeleted } = this.retentionDays > 0
+                    ? await this.dropExpired(client, now)
+                    : { dropped: [], defaultRowsDeleted: 0, requestIdsDeleted: 0 };
+
+                const result = {
+                    created,
+                    dropped,
+                    default_rows_deleted: defaultRowsDeleted,
+                    request_ids_deleted: requestIdsDeleted,
+                    rollup_hours: rollupHours,
+                    duration_ms: Date.now() - started
+                };
+                await client.query(
+                    `INSERT INTO maintenance_runs (task, last_run_at, last_result)
+                     VALUES ($1, NOW(), $2)
+                     ON CONFLICT (task) DO UPDATE
+                         SET last_run_at = EXCLUDED.last_run_at, last_result = EXCLUDED.last_result`,
+                    [TASK_NAME, JSON.stringify(result)]
+                );
+                return result;
+            } finally {
+                await client.query('SELECT pg_advisory_unlock($1)', [MAINTENANCE_LOCK_KEY]);
+            }
+        } catch (error) {
+            clientError = error;
+            throw error;
+        } finally {
+            // A broken connection must not go back to the pool
+            client.release(clientError || undefined);
+        }
+    }
+
+    // Another instance finished a run less than (most of) an interval ago
+    // Database clock, so instances with skewed clocks still agree
+    async ranRecently(client) {
+        const result = await client.query(
+            `SELECT EXTRACT(EPOCH FROM (NOW() - last_run_at)) * 1000 AS age_ms
+             FROM maintenance_runs WHERE task = $1`,
+            [TASK_NAME]
+        );
+        // 90%: timers of different instances drift slightly
+        return result.rows.length > 0 && Number(result.rows[0].age_ms) < this.intervalMs * 0.9;
+    }
+
+    // Range partitions of request_logs → [{ name, start, end }] (default partition excluded)
+    async listPartitions(client) {
+        const result = await client.query(
+            `SELECT c.relname AS name, pg_get_expr(c.relpartbound, c.oid) AS bound
+             FROM pg_inherits i
+             JOIN pg_class c ON c.oid = i.inhrelid
+             WHERE i.inhparent = 'request_logs'::regclass`
+        );
+        return result.rows
+            .map(({ name, bound }) => {
+                const match = /FROM \('([^']+)'\) TO \('([^']+)'\)/.exec(bound);
+                return match ? { name, start: parseTimestamp(match[1]), end: parseTimestamp(match[2]) } : null;
+            })
+            .filter(Boolean);
+    }
+
+    // Current period + premake future ones; returns the names created
+    async ensurePartitions(client, now) {
+        const existing = await this.listPartitions(client);
+        const created = [];
+        const first = startOfPeriod(now, this.partitionInterval);
+
+        for (let i = 0; i <= this.premake; i++) {
+            const start = addPeriods(first, this.partitionInterval, i);
+            const end = addPeriods(start, this.partitionInterval, 1);
+            // After switching PARTITION_INTERVAL the old, wider partitions stay in place
+            if (existing.some(partition => partition.start < end && start < partition.end)) {
+                continue;
+            }
+
+            const name = partitionName(start, this.partitionInterval);
+            try {
+                await client.query(
+                    `CREATE TABLE IF NOT EXISTS ${quoteIdent(name)} PARTITION OF request_logs
+                     FOR VALUES FROM ('${formatTimestamp(start)}') TO ('${formatTimestamp(end)}')`
+                );
+                created.push(name);
+            } catch (error) {
+                if (error.code !== CHECK_VIOLATION) {
+                    throw error;
+                }
+                // Those rows stay in request_logs_default (still queried, still retained)
+                this.logger.warn('Partition not created: request_logs_default already holds rows in its range', {
+                    partition: name,
+                    from: formatTimestamp(start),
+                    to: formatTimestamp(end)
+                });
+            }
+        }
+        return created;
+    }
+
+    // Upsert per-server counts of completed hours; returns the number of rows written
+    // Recounts from the last rolled-up hour minus ROLLUP_LOOKBACK_MS to catch late rows
+    async rollupHourly(client, now) {
+        const latest = await client.query('SELECT MAX(hour) AS hour FROM request_log_hourly');
+        let from;
+        if (latest.rows[0].hour) {
+            from = new Date(new Date(latest.rows[0].hour).getTime() - ROLLUP_LOOKBACK_MS);
+        } else {
+            const oldest = await client.query('SELECT MIN(timestamp) AS timestamp FROM request_logs');
+            if (!oldest.rows[0].timestamp) {
+                return 0;
+            }
+            from = startOfHour(new Date(oldest.rows[0].timestamp));
+        }
+        const until = startOfHour(now);
+
+        let rows = 0;
+        for (let chunkStart = from; chunkStart < until;) {
+            const chunkEnd = new Date(Math.min(chunkStart.getTime() + ROLLUP_CHUNK_MS, until.getTime()));
+            const result = await client.query(
+                `INSERT INTO request_log_hourly (hour, server_hostname, request_count, updated_at)
+                 SELECT date_trunc('hour', timestamp), server_hostname, COUNT(*), NOW()
+                 FROM request_logs
+                 WHERE timestamp >= $1 AND timestamp < $2
+                 GROUP BY 1, 2
+                 ON CONFLICT (hour, server_hostname) DO UPDATE
+                     SET request_count = EXCLUDED.request_count, updated_at = EXCLUDED.updated_at`,
+                [chunkStart, chunkEnd]
+            );
+            rows += result.rowCount;
+            chunkStart = chunkEnd;
+        }
+        return rows;
+    }
+
+    // Drop partitions that end before the cutoff; trim the default partition row by row
+    async dropExpired(client, now) {
+        const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate() - this.retentionDays,
+            now.getHours(), now.getMinutes(), now.getSeconds());
+
+        const dropped = [];
+        for (const partition of await this.listPartitions(client)) {
+            if (partition.end <= cutoff) {
+                await client.query(`DROP TABLE IF EXISTS ${quoteIdent(partition.name)}`);
+                dropped.push(partition.name);
+            }
+        }
+
+        const deleted = await client.query('DELETE FROM request_logs_default WHERE timestamp < $1', [cutoff]);
+
+        // A claim goes once no row can still have it: older than the cutoff AND
+        // than every partition left (one may start before the cutoff)
+        const kept = (await this.listPartitions(client)).map(partition => partition.start);
+        const claimCutoff = new Date(Math.min(cutoff, ...kept));
+        const claims = await client.query('DELETE FROM request_ids WHERE timestamp < $1', [claimCutoff]);
+        return { dropped, defaultRowsDeleted: deleted.rowCount, requestIdsDeleted: claims.rowCount };
+    }
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+// Runs one pass immediately with the server's configuration (config.js)
+// Still respects the lock: exits without work if an instance is mid-run
+// ============================================
+
+async function main() {
+    require('dotenv').config({ quiet: true });
+    const { Pool } = require('pg');
+    const { loadConfig } = require('./config');
+
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = new Pool({
+        ...config.db.connection,
+        connectionTimeoutMillis: config.db.pool.connectionTimeoutMillis,
+        max: 1
+    });
+
+    const { partitionInterval, premake, retentionDays, rollupEnabled, intervalMs } = config.maintenance;
+    const maintenance = new RequestLogMaintenance({
+        pool, partitionInterval, premake, retentionDays, rollupEnabled, intervalMs
+    });
+
+    try {
+        const result = await maintenance.run({ force: true });
+        if (result.skipped) {
+            console.log('⏭️  Another instance is running maintenance right now - nothing to do');
+        } else {
+            console.log(`✅ Partitions created: ${result.created.join(', ') || 'none'}`);
+            console.log(`✅ Partitions dropped: ${result.dropped.join(', ') || 'none'}` +
+                (result.default_rows_deleted > 0 ? ` (+${result.default_rows_deleted} rows from request_logs_default)` : ''));
+            console.log(`✅ Hourly rollup rows written: ${result.rollup_hours}`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    RequestLogMaintenance,
+    MAINTENANCE_LOCK_KEY,
+    partitionName
+};
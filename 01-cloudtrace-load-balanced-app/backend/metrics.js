@@ -0,0 +1,190 @@
+// ============================================
+// CloudTrace Metrics Registry
+// ============================================
+//
+// PURPOSE: Expose Prometheus-compatible metrics without extra dependencies
+//
+// KEY CONCEPTS:
+// 1. Counter   - Only goes up (requests served, DB writes)
+// 2. Gauge     - Goes up and down (pool clients, open streams)
+// 3. Histogram - Counts observations into buckets (latency)
+// 4. Labels    - Dimensions like route/status, one time series per combination
+//
+// WHY HAND-ROLLED (not prom-client):
+// - The backend uses only Node's built-in http module
+// - The text exposition format is simple and stable
+// - A few dozen lines cover everything we expose
+//
+// FORMAT REFERENCE:
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+// ============================================
+
+// Default latency buckets in seconds (5ms ... 10s)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label values may contain anything - escape per the exposition format
+function escapeLabelValue(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Stable key for a label combination (label names are fixed per metric)
+function labelKey(labelNames, labels) {
+    return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    labelNames.forEach(name => {
+        picked[name] = labels[name] ?? '';
+    });
+    return picked;
+}
+
+// ============================================
+// METRIC TYPES
+// ============================================
+
+class Counter {
+    constructor(name, help, labelNames) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        const current = this.series.get(key);
+        if (current) {
+            current.value += value;
+        } else {
+            this.series.set(key, { labels: pickLabels(this.labelNames, labels), value });
+        }
+    }
+
+    collect() {
+        return Array.from(this.series.values()).map(({ labels, value }) => ({ suffix: '', labels, value }));
+    }
+}
+
+class Gauge {
+    // collectFn is called at scrape time and returns [{ labels, value }]
+    // WHY: Pool sizes change constantly - read them when Prometheus asks
+    constructor(name, help, labelNames, collectFn) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.labelNames = labelNames;
+        this.collectFn = collectFn;
+    }
+
+    collect() {
+        return this.collectFn().map(({ labels = {}, value }) => ({
+            suffix: '',
+            labels: pickLabels(this.labelNames, labels),
+            value
+        }));
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.labelNames = labelNames;
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = {
+                labels: pickLabels(this.labelNames, labels),
+                counts: new Array(this.buckets.length).fill(0),
+                sum: 0,
+                count: 0
+            };
+            this.series.set(key, series);
+        }
+
+        // Buckets are cumulative ("less than or equal to")
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    collect() {
+        const samples = [];
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, index) => {
+                samples.push({ suffix: '_bucket', labels: { ...labels, le: String(bound) }, value: counts[index] });
+            });
+            samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+            samples.push({ suffix: '_sum', labels, value: sum });
+            samples.push({ suffix: '_count', labels, value: count });
+        });
+        return samples;
+    }
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+//
+// defaultLabels are added to every sample
+// - e.g. server_hostname, so each EC2 instance is its own series
+//   even when scraped through a shared service discovery target
+// ============================================
+
+function createRegistry({ defaultLabels = {} } = {}) {
+    const metrics = [];
+
+    function register(metric) {
+        metrics.push(metric);
+        return metric;
+    }
+
+    return {
+        counter: (name, help, labelNames = []) => register(new Counter(name, help, labelNames)),
+        gauge: (name, help, labelNames, collectFn) => register(new Gauge(name, help, labelNames, collectFn)),
+        histogram: (name, help, labelNames = [], buckets) => register(new Histogram(name, help, labelNames, buckets)),
+
+        // Render all metrics in the Prometheus text format
+        render() {
+            const lines = [];
+            metrics.forEach(metric => {
+                lines.push(`# HELP ${metric.name} ${metric.help}`);
+                lines.push(`# TYPE ${metric.name} ${metric.type}`);
+                metric.collect().forEach(({ suffix, labels, value }) => {
+                    const allLabels = { ...defaultLabels, ...labels };
+                    lines.push(`${metric.name}${suffix}${formatLabels(allLabels)} ${value}`);
+                });
+            });
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+module.exports = {
+    createRegistry,
+    DEFAULT_BUCKETS
+};
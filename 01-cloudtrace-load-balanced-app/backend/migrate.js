@@ -0,0 +1,281 @@
+// ============================================
+// CloudTrace Schema Migrations
+// ============================================
+//
+// PURPOSE: Evolve the request_logs schema in versioned, repeatable steps
+//
+// LAYOUT (db/migrations):
+//   001_create_request_logs.up.sql     - applied by "up"
+//   001_create_request_logs.down.sql   - reverts it (optional, needed for "down")
+//   002_add_latency_columns.up.sql
+//   ...
+//
+// HOW IT WORKS:
+// 1. Take a PostgreSQL advisory lock (one migrator at a time)
+// 2. Create schema_migrations if needed (version, name, checksum, applied_at)
+// 3. Apply every pending migration in version order, each in its own transaction
+//    together with its schema_migrations row → a failed migration leaves no trace
+// 4. Release the lock
+//
+// WHY AN ADVISORY LOCK:
+// - An Auto Scaling group boots several EC2 instances at once
+// - Each backend runs migrations at startup
+// - Without the lock, two instances would run the same ALTER TABLE concurrently
+// - With it, the second instance waits, then finds nothing pending
+// - Session-level: released automatically if the migrating instance dies
+//
+// USAGE:
+//   npm run migrate              # apply all pending migrations
+//   npm run migrate:down         # revert the latest migration
+//   npm run migrate:down -- 3    # revert the latest 3
+//   npm run migrate:status       # list applied / pending migrations
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+// Arbitrary but fixed: every instance must lock the same key
+const MIGRATION_LOCK_KEY = 427001;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+class MigrationError extends Error {
+    constructor(message, migration) {
+        super(message);
+        this.name = 'MigrationError';
+        this.migration = migration;
+    }
+}
+
+// "001_create_request_logs" - the file name without direction and extension
+function migrationLabel({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+// Read db/migrations into [{ version, name, up, down, checksum }] sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const byVersion = new Map();
+
+    fs.readdirSync(dir).forEach(file => {
+        const match = MIGRATION_FILE_PATTERN.exec(file);
+        if (!match) {
+            return;
+        }
+        const [, versionText, name, direction] = match;
+        const version = parseInt(versionText, 10);
+
+        const migration = byVersion.get(version) || { version, name, up: null, down: null };
+        if (migration.name !== name) {
+            throw new MigrationError(`Version ${version} is used by "${migration.name}" and "${name}"`, migration);
+        }
+        migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, migration);
+    });
+
+    return Array.from(byVersion.values())
+        .map(migration => {
+            if (!migration.up) {
+                throw new MigrationError(`Migration ${migrationLabel(migration)} has no .up.sql file`, migration);
+            }
+            // Detects edits to a migration after it was applied
+            migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+            return migration;
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+}
+
+async function getAppliedMigrations(client) {
+    const result = await client.query(
+        'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return result.rows;
+}
+
+// Run one migration file and its bookkeeping atomically
+// PostgreSQL DDL is transactional, so a failing statement rolls back the whole file
+async function runInTransaction(client, migration, sql, bookkeeping) {
+    try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await bookkeeping();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new MigrationError(
+            `Migration ${migrationLabel(migration)} failed: ${error.message}`,
+            migration
+        );
+    }
+}
+
+// Check out a client, hold the advisory lock while fn runs
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        try {
+            await ensureMigrationsTable(client);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Apply pending migrations, returns the applied ones
+// logger: anything with info/warn(message, fields), e.g. logger.js or console
+async function migrateUp(pool, { dir, logger = console } = {}) {
+    const migrations = loadMigrations(dir);
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+
+        migrations.forEach(migration => {
+            const row = applied.get(migration.version);
+            if (row && row.checksum !== migration.checksum) {
+                logger.warn('Migration changed after it was applied - add a new migration instead', {
+                    migration: migrationLabel(migration)
+                });
+            }
+        });
+
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+        for (const migration of pending) {
+            await runInTransaction(client, migration, migration.up, () => client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            ));
+            logger.info('Applied migration', { migration: migrationLabel(migration) });
+        }
+
+        return pending;
+    });
+}
+
+// Revert the latest `steps` applied migrations, returns the reverted ones
+async function migrateDown(pool, { dir, steps = 1, logger = console } = {}) {
+    const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedMigrations(client);
+        const toRevert = applied.reverse().slice(0, steps);
+        const reverted = [];
+
+        for (const row of toRevert) {
+            const migration = migrations.get(row.version);
+            if (!migration || !migration.down) {
+                throw new MigrationError(`Migration ${migrationLabel(row)} has no .down.sql file`, row);
+            }
+            await runInTransaction(client, migration, migration.down, () => client.query(
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [migration.version]
+            ));
+            logger.info('Reverted migration', { migration: migrationLabel(migration) });
+            reverted.push(migration);
+        }
+
+        return reverted;
+    });
+}
+
+// [{ version, name, applied_at }] for every known migration (applied_at null = pending)
+async function migrationStatus(pool, { dir } = {}) {
+    const migrations = loadMigrations(dir);
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+        return migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+            modified: applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+        }));
+    });
+}
+
+// ============================================
+// COMMAND LINE
+// ============================================
+// node migrate.js [up | down [steps] | status]
+// Uses the same configuration as server.js (config.js: DATABASE_URL / DB_*, SSL)
+// ============================================
+
+async function main() {
+    require('dotenv').config({ quiet: true });
+    const { Pool } = require('pg');
+    const { Logger } = require('./logger');
+    const { loadConfig } = require('./config');
+    const logger = new Logger({ format: 'pretty' });
+
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    config.warnings.forEach(warning => logger.warn(warning));
+
+    const dir = config.db.migrationsDir;
+    const pool = new Pool({
+        ...config.db.connection,
+        connectionTimeoutMillis: config.db.pool.connectionTimeoutMillis,
+        max: 1
+    });
+
+    const [command = 'up', stepsArg] = process.argv.slice(2);
+
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(pool, { dir, logger });
+            console.log(applied.length > 0 ? `✅ ${applied.length} migration(s) applied` : '✅ Schema is up to date');
+        } else if (command === 'down') {
+            const steps = parseInt(stepsArg, 10) || 1;
+            const reverted = await migrateDown(pool, { dir, steps, logger });
+            console.log(`✅ ${reverted.length} migration(s) reverted`);
+        } else if (command === 'status') {
+            const status = await migrationStatus(pool, { dir });
+            status.forEach(({ version, name, applied_at, modified }) => {
+                const state = applied_at ? `applied ${applied_at.toISOString()}` : 'pending';
+                console.log(`${migrationLabel({ version, name }).padEnd(36)} ${state}${modified ? ' (modified!)' : ''}`);
+            });
+        } else {
+            console.error(`❌ Unknown command "${command}" (use up, down [steps] or status)`);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MigrationError,
+    loadMigrations,
+    migrateUp,
+    migrateDown,
+    migrationStatus
+};
@@ -0,0 +1,212 @@
+// ============================================
+// CloudTrace Rate Limiter (Token Bucket)
+// ============================================
+//
+// PURPOSE: Stop a single client from flooding /api/request and request_logs
+//
+// TOKEN BUCKET:
+// - Every client IP has a bucket holding up to `capacity` tokens (the burst)
+// - Each request takes one token; tokens refill at `refillPerSecond`
+// - Empty bucket → 429 Too Many Requests, Retry-After = time until 1 token
+// - Steady rate allowed: refillPerSecond; short bursts: up to capacity
+//
+// STORES:
+// - MemoryBucketStore   - per instance (default). Behind an ALB with N
+//                         instances a client effectively gets N × the limit
+// - PostgresBucketStore - shared rate_limit_buckets table, one limit across
+//                         every instance. One atomic upsert per request,
+//                         using the database clock so instances agree
+//
+// FAILURE POLICY: If the shared store is unreachable, requests are allowed
+// (fail open) - the limiter must not take the service down with the database
+// ============================================
+
+// Result of take():
+// { allowed, remaining, retryAfterMs, resetMs }
+// - remaining:    whole tokens left after this request
+// - retryAfterMs: when the next request would be allowed (0 if allowed now)
+// - resetMs:      when the bucket will be full again
+function bucketResult(allowed, tokens, { capacity, refillPerSecond }) {
+    return {
+        allowed,
+        remaining: Math.max(0, Math.floor(tokens)),
+        retryAfterMs: allowed ? 0 : Math.ceil(((1 - tokens) / refillPerSecond) * 1000),
+        resetMs: Math.ceil(((capacity - tokens) / refillPerSecond) * 1000)
+    };
+}
+
+// ============================================
+// IN-MEMORY STORE
+// ============================================
+
+class MemoryBucketStore {
+    constructor({ maxKeys = 100000 } = {}) {
+        this.buckets = new Map();  // key → { tokens, updatedAt }
+        this.maxKeys = maxKeys;
+    }
+
+    async take(key, limits) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key);
+        let tokens = limits.capacity;
+        if (bucket) {
+            tokens = Math.min(limits.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limits.refillPerSecond);
+        } else if (this.buckets.size >= this.maxKeys) {
+            // Many distinct IPs: forget the oldest bucket (Map keeps insertion order)
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+
+        const allowed = tokens >= 1;
+        if (allowed) {
+            tokens -= 1;
+        }
+        // Re-insert so recently seen clients move to the end
+        this.buckets.delete(key);
+        this.buckets.set(key, { tokens, updatedAt: now });
+        return bucketResult(allowed, tokens, limits);
+    }
+
+    // Full buckets carry no information - drop them
+    async sweep(limits) {
+        const now = Date.now();
+        const fullAfterMs = (limits.capacity / limits.refillPerSecond) * 1000;
+        for (const [key, bucket] of this.buckets) {
+            if (now - bucket.updatedAt >= fullAfterMs) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+// ============================================
+// POSTGRESQL STORE (shared across instances)
+// ============================================
+//
+// ONE STATEMENT PER REQUEST:
+// - New key  → INSERT a bucket with capacity - 1 tokens
+// - Existing → refill by elapsed time, take a token, but ONLY if at least
+//   one is available (ON CONFLICT ... DO UPDATE ... WHERE)
+// - No row returned → the WHERE failed → bucket empty → 429
+// - Row lock on the key serialises concurrent requests from the same client
+// ============================================
+
+const REFILLED_TOKENS = `LEAST($2::float8, b.tokens +
+    EXTRACT(EPOCH FROM (clock_timestamp() - b.updated_at)) * $3::float8)`;
+
+class PostgresBucketStore {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async take(key, limits) {
+        const result = await this.pool.query(
+            `INSERT INTO rate_limit_buckets AS b (key, tokens, updated_at)
+             VALUES ($1, $2::float8 - 1, clock_timestamp())
+             ON CONFLICT (key) DO UPDATE
+                 SET tokens = ${REFILLED_TOKENS} - 1,
+                     updated_at = clock_timestamp()
+                 WHERE ${REFILLED_TOKENS} >= 1
+             RETURNING tokens`,
+            [key, limits.capacity, limits.refillPerSecond]
+        );
+        if (result.rows.length > 0) {
+            return bucketResult(true, Number(result.rows[0].tokens), limits);
+        }
+
+        // Denied: read the refilled level for Retry-After (rows are never updated on denial)
+        const current = await this.pool.query(
+            `SELECT ${REFILLED_TOKENS} AS tokens FROM rate_limit_buckets b WHERE key = $1`,
+            [key, limits.capacity, limits.refillPerSecond]
+        );
+        const tokens = current.rows.length > 0 ? Number(current.rows[0].tokens) : 0;
+        return bucketResult(false, tokens, limits);
+    }
+
+    // Rows untouched for longer than a full refill are equivalent to "no row"
+    async sweep(limits) {
+        const fullAfterSeconds = limits.capacity / limits.refillPerSecond;
+        await this.pool.query(
+            `DELETE FROM rate_limit_buckets
+             WHERE updated_at < clock_timestamp() - make_interval(secs => $1)`,
+            [fullAfterSeconds]
+        );
+    }
+}
+
+// ============================================
+// RATE LIMITER
+// ============================================
+
+class RateLimiter {
+    // capacity:        burst size (tokens in a full bucket)
+    // refillPerSecond: sustained requests per second per client
+    // store:           MemoryBucketStore or PostgresBucketStore
+    constructor({ capacity, refillPerSecond, store, sweepIntervalMs = 60000, logger = console }) {
+        this.limits = { capacity, refillPerSecond };
+        this.store = store;
+        this.sweepIntervalMs = sweepIntervalMs;
+        this.logger = logger;
+        this.timer = null;
+        this.storeFailing = false;  // Log the first failure of a streak only
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.store.sweep(this.limits).catch(error => {
+                this.logger.warn('Rate limit sweep failed', { error: error.message });
+            });
+        }, this.sweepIntervalMs);
+        // Don't keep the process alive just for housekeeping
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Take one token for key; never throws (fail open)
+    async take(key) {
+        try {
+            const result = await this.store.take(key, this.limits);
+            if (this.storeFailing) {
+                this.storeFailing = false;
+                this.logger.info('Rate limit store recovered');
+            }
+            return result;
+        } catch (error) {
+            if (!this.storeFailing) {
+                this.storeFailing = true;
+                this.logger.warn('Rate limit store failed, allowing requests until it recovers', {
+                    error: error.message
+                });
+            }
+            return { ...bucketResult(true, this.limits.capacity, this.limits), unavailable: true };
+        }
+    }
+
+    // RateLimit-* headers (IETF draft "RateLimit header fields for HTTP")
+    // Policy "60;w=6": 60 requests, refilled over 6 seconds
+    headers(result) {
+        const windowSeconds = Math.ceil(this.limits.capacity / this.limits.refillPerSecond);
+        const headers = {
+            'RateLimit-Policy': `${this.limits.capacity};w=${windowSeconds}`,
+            'RateLimit-Limit': String(this.limits.capacity),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+        };
+        if (!result.allowed) {
+            headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+        }
+        return headers;
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    MemoryBucketStore,
+    PostgresBucketStore
+};
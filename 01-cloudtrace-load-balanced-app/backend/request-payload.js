@@ -0,0 +1,157 @@
+// ============================================
+// CloudTrace Request Payload
+// ============================================
+//
+// PURPOSE: Read and validate the optional JSON body of POST /api/request
+//
+// ACCEPTED BODY (every field optional):
+//   {
+//     "label": "deploy-42 smoke test",          // string, up to 200 chars
+//     "tags": ["deploy-42", "smoke"],           // up to 20 strings, 1-50 chars each
+//     "metadata": { "commit": "a1b2c3", ... }   // any JSON object
+//   }
+// Stored as request_logs.payload (JSONB); filter with
+// GET /api/requests?label=...&tag=...
+//
+// LIMITS:
+// - Whole body at most REQUEST_BODY_MAX_BYTES (413 beyond that, reading stops early)
+// - Content-Type must be application/json (415 otherwise)
+// - Unknown top-level fields are rejected (400) so typos don't go unnoticed
+// - No NUL characters (\u0000) anywhere, metadata keys included: PostgreSQL text
+//   and JSONB refuse them (22P05), so the write would fail for good - or, in
+//   batch and spool mode, after the client was already answered
+// ============================================
+
+const LABEL_MAX_LENGTH = 200;
+const TAGS_MAX_COUNT = 20;
+const TAG_MAX_LENGTH = 50;
+const PAYLOAD_FIELDS = ['label', 'tags', 'metadata'];
+
+class RequestPayloadError extends Error {
+    // status: 400 (invalid), 413 (too large) or 415 (not JSON)
+    constructor(status, message) {
+        super(message);
+        this.name = 'RequestPayloadError';
+        this.status = status;
+    }
+}
+
+// Collect the body up to maxBytes → string ('' when there is none)
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const declared = Number(req.headers['content-length']);
+        if (declared > maxBytes) {
+            reject(new RequestPayloadError(413, `Body larger than ${maxBytes} bytes`));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                // Stop buffering; the response closes the connection
+                req.removeAllListeners('data');
+                req.pause();
+                reject(new RequestPayloadError(413, `Body larger than ${maxBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Any string in value (nested keys and values too) with a NUL character?
+function containsNul(value) {
+    if (typeof value === 'string') {
+        return value.includes('\u0000');
+    }
+    if (Array.isArray(value)) {
+        return value.some(containsNul);
+    }
+    if (isPlainObject(value)) {
+        return Object.entries(value).some(([key, nested]) => key.includes('\u0000') || containsNul(nested));
+    }
+    return false;
+}
+
+// Parsed JSON → { label, tags, metadata } with only the fields that were sent
+function validatePayload(body) {
+    if (!isPlainObject(body)) {
+        throw new RequestPayloadError(400, 'Body must be a JSON object');
+    }
+
+    const unknown = Object.keys(body).filter(field => !PAYLOAD_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new RequestPayloadError(400, `Unknown field(s): ${unknown.join(', ')} (allowed: ${PAYLOAD_FIELDS.join(', ')})`);
+    }
+
+    const withNul = PAYLOAD_FIELDS.filter(field => containsNul(body[field]));
+    if (withNul.length > 0) {
+        throw new RequestPayloadError(400, `NUL characters (\\u0000) are not allowed: ${withNul.join(', ')}`);
+    }
+
+    const payload = {};
+
+    if (body.label !== undefined) {
+        if (typeof body.label !== 'string' || body.label.trim() === '' || body.label.length > LABEL_MAX_LENGTH) {
+            throw new RequestPayloadError(400, `"label" must be a non-empty string of at most ${LABEL_MAX_LENGTH} characters`);
+        }
+        payload.label = body.label.trim();
+    }
+
+    if (body.tags !== undefined) {
+        const validTags = Array.isArray(body.tags) &&
+            body.tags.length <= TAGS_MAX_COUNT &&
+            body.tags.every(tag => typeof tag === 'string' && tag.trim() !== '' && tag.length <= TAG_MAX_LENGTH);
+        if (!validTags) {
+            throw new RequestPayloadError(400,
+                `"tags" must be an array of at most ${TAGS_MAX_COUNT} non-empty strings of at most ${TAG_MAX_LENGTH} characters`);
+        }
+        payload.tags = [...new Set(body.tags.map(tag => tag.trim()))];
+    }
+
+    if (body.metadata !== undefined) {
+        if (!isPlainObject(body.metadata)) {
+            throw new RequestPayloadError(400, '"metadata" must be a JSON object');
+        }
+        payload.metadata = body.metadata;
+    }
+
+    return payload;
+}
+
+// Read, parse and validate; null when the request has no body
+async function readRequestPayload(req, { maxBytes }) {
+    const text = await readBody(req, maxBytes);
+    if (text.trim() === '') {
+        return null;
+    }
+
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+        throw new RequestPayloadError(415, 'Content-Type must be application/json');
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw new RequestPayloadError(400, `Invalid JSON: ${error.message}`);
+    }
+
+    const payload = validatePayload(body);
+    return Object.keys(payload).length > 0 ? payload : null;
+}
+
+module.exports = {
+    RequestPayloadError,
+    readRequestPayload,
+    validatePayload
+};
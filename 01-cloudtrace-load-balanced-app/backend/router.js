@@ -0,0 +1,222 @@
+// ============================================
+// CloudTrace Router
+// ============================================
+//
+// PURPOSE: Method + path routing and a middleware pipeline for the plain
+// http server, without a framework dependency
+//
+// ROUTES:
+//   router.get('/api/requests/:requestId', requireScope('logs:read'), handler)
+// - ":name" segments are path parameters → ctx.params.name (URL-decoded)
+// - Functions before the handler are route middleware, run in order
+// - First registered route wins when several patterns match
+//
+// MIDDLEWARE: async (ctx, next) => { ...before; await next(); ...after }
+// - router.use() middleware runs for EVERY request, matched or not, in order
+// - Not calling next() ends the request there (e.g. a CORS preflight answer)
+// - ctx = { req, res, url, params, route, pattern, allow, state }
+//   pattern: the matched route pattern, also for 405s (bounded → metric label)
+//
+// NO MATCHING ROUTE:
+// - Unknown path                → 404
+// - Known path, other method    → 405 with Allow: GET, OPTIONS
+// - Known path, plain OPTIONS   → 204 with Allow (CORS preflights never get here)
+// 404 and 405 are thrown as HttpError, so the error middleware sends them
+//
+// ERROR ENVELOPE (sendError) - the same shape for every error response:
+//   { "error": { "status": 404, "code": "not_found", "message": "...", "request_id": "..." } }
+// ============================================
+
+const http = require('http');
+
+// "Too Many Requests" → "too_many_requests"
+function defaultErrorCode(status) {
+    return (http.STATUS_CODES[status] || 'Error').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
+
+class HttpError extends Error {
+    // status:  HTTP status code (4xx / 5xx)
+    // code:    stable identifier for clients, defaults to the status text ("not_found")
+    // details: extra envelope fields, e.g. { retry_after_seconds: 3 }
+    // headers: response headers that belong to the error (Allow, WWW-Authenticate, ...)
+    constructor(status, message, { code, details, headers } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || defaultErrorCode(status);
+        this.details = details || {};
+        this.headers = headers || {};
+    }
+}
+
+// One place for Content-Type; pretty-printed for easy curl debugging
+function sendJson(res, statusCode, data, headers = {}) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        ...headers
+    });
+    res.end(JSON.stringify(data, null, 2));
+}
+
+// Anything that isn't an HttpError becomes a 500 - its message stays in the logs
+function sendError(res, error, requestId) {
+    const httpError = error instanceof HttpError ? error : new HttpError(500, 'Internal server error');
+
+    // A stream already started: the status line is gone, all we can do is cut it
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+
+    sendJson(res, httpError.status, {
+        error: {
+            status: httpError.status,
+            code: httpError.code,
+            message: httpError.message,
+            request_id: requestId,
+            ...httpError.details
+        }
+    }, httpError.headers);
+}
+
+// '/api/requests/:requestId' → { regex, names: ['requestId'] }
+function compilePattern(pattern) {
+    const names = [];
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment.startsWith(':')) {
+                names.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return { regex: new RegExp(`^${source}$`), names };
+}
+
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;  // Malformed %-escape: the handler validates the raw value
+    }
+}
+
+// Run middleware[i] with next() → middleware[i + 1]
+function runPipeline(middleware, ctx) {
+    let lastIndex = -1;
+    const dispatch = async index => {
+        if (index <= lastIndex) {
+            throw new Error('next() called more than once');
+        }
+        lastIndex = index;
+        const fn = middleware[index];
+        if (fn) {
+            await fn(ctx, () => dispatch(index + 1));
+        }
+    };
+    return dispatch(0);
+}
+
+// Final step when no route matched the method and path
+function rejectUnmatched(ctx) {
+    const { req, res, url, allow } = ctx;
+    if (allow.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+    }
+
+    const allowHeader = [...allow, 'OPTIONS'].join(', ');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, { Allow: allowHeader });
+        res.end();
+        return;
+    }
+    throw new HttpError(405, `${req.method} is not allowed on ${url.pathname} (use ${allow.join(', ')})`, {
+        headers: { Allow: allowHeader }
+    });
+}
+
+class Router {
+    constructor() {
+        this.routes = [];      // { method, pattern, regex, names, handlers }
+        this.middleware = [];  // Global, in registration order
+    }
+
+    use(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    // The last handler answers the request; the ones before it are route middleware
+    add(method, pattern, ...handlers) {
+        const { regex, names } = compilePattern(pattern);
+        this.routes.push({ method, pattern, regex, names, handlers });
+        return this;
+    }
+
+    get(pattern, ...handlers) {
+        return this.add('GET', pattern, ...handlers);
+    }
+
+    post(pattern, ...handlers) {
+        return this.add('POST', pattern, ...handlers);
+    }
+
+    // → { route, params, pattern, allow }
+    // - route: null when nothing matched the method (404 / 405)
+    // - allow: every method registered for this path ([] = unknown path)
+    match(method, pathname) {
+        const allow = [];
+        let found = null;
+        let pattern = null;
+        for (const route of this.routes) {
+            const match = route.regex.exec(pathname);
+            if (!match) {
+                continue;
+            }
+            pattern = pattern || route.pattern;
+            if (!allow.includes(route.method)) {
+                allow.push(route.method);
+            }
+            if (!found && route.method === method) {
+                found = { route, values: match.slice(1) };
+            }
+        }
+
+        if (!found) {
+            return { route: null, params: {}, pattern, allow };
+        }
+        const params = {};
+        found.route.names.forEach((name, i) => {
+            params[name] = decodeParam(found.values[i]);
+        });
+        return { route: found.route, params, pattern: found.route.pattern, allow };
+    }
+
+    async handle(req, res) {
+        // Only path and query are used - a fixed base keeps a bad Host header harmless
+        const url = new URL(req.url, 'http://localhost');
+        const { route, params, pattern, allow } = this.match(req.method, url.pathname);
+        const ctx = { req, res, url, params, route, pattern, allow, state: {} };
+
+        try {
+            await runPipeline([...this.middleware, ...(route ? route.handlers : [rejectUnmatched])], ctx);
+        } catch (error) {
+            // Last resort: the error middleware should have answered already
+            sendError(res, error, req.requestId);
+        }
+    }
+
+    // For http.createServer(router.handler())
+    handler() {
+        return (req, res) => this.handle(req, res);
+    }
+}
+
+module.exports = {
+    Router,
+    HttpError,
+    sendJson,
+    sendError
+};
@@ -0,0 +1,219 @@
+// ============================================
+// CloudTrace Request Log Spool (Write-Ahead Buffer)
+// ============================================
+//
+// PURPOSE: Don't lose request logs during a short database outage
+//
+// THE PROBLEM:
+// - writeRequestToDatabase() retries 3 times (100ms, 200ms, 400ms)
+// - An RDS Multi-AZ failover takes 60-120 seconds
+// - Without a buffer, every request during failover is lost from history
+//
+// HOW IT WORKS:
+// 1. Write fails with a transient error after all retries
+// 2. Row is appended to a local JSON Lines file (one row per line) and fsync'd
+// 3. When /health sees the database again, rows are replayed IN ORDER
+// 4. Replayed rows are removed from the file (atomic rewrite: temp file + rename)
+// 5. A batch the database rejects for good (constraint violation, bad value) is
+//    halved until the offending row is found; that row is moved to the
+//    rejected file (<name>.rejected.jsonl) and the replay goes on
+//
+// GUARANTEES:
+// - Durable: each append is fsync'd before the request is answered
+// - Ordered: rows replay in the order they were spooled
+// - Idempotent replay: the same multi-row INSERT as batch mode (storage.js
+//   insertRequestLogs): ON CONFLICT (request_id, timestamp) DO NOTHING, with
+//   cloudtrace.skip_duplicate_request_ids on so the request_ids claim trigger
+//   (migration 013) skips a row whose request_id is already stored instead of
+//   failing the batch - a crash halfway through a replay creates no duplicates
+// - No poison rows: one bad row never blocks the rows behind it
+// - Bounded: at most maxRows rows; when full, new rows are rejected
+//   (keeps order intact and the disk from filling up)
+//
+// TRADE-OFF (STATELESS ARCHITECTURE):
+// - This is deliberately local state, and it's opt-in (SPOOL_ENABLED=true)
+// - If the instance is TERMINATED while rows are spooled, they are lost
+//   unless SPOOL_DIR is on a volume that outlives the instance
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+
+class RequestLogSpool {
+    // insertBatch(rows) must write rows to the database (idempotently) or throw
+    // isTransientError(error): true → pause the replay and retry later,
+    //   false → the rows themselves are the problem (bisect, move the bad one aside)
+    // logger: anything with warn/error(message, fields) - console works too
+    constructor({ filePath, maxRows, batchSize, insertBatch, isTransientError = () => true, logger = console }) {
+        this.filePath = filePath;
+        this.rejectedPath = `${filePath.replace(/\.jsonl$/, '')}.rejected.jsonl`;
+        this.maxRows = maxRows;
+        this.batchSize = batchSize;
+        this.insertBatch = insertBatch;
+        this.isTransientError = isTransientError;
+        this.logger = logger;
+
+        this.rows = [];          // In-memory mirror of the file, oldest first
+        this.replaying = false;
+        this.lock = Promise.resolve();  // Serialises all file operations
+    }
+
+    get depth() {
+        return this.rows.length;
+    }
+
+    // Run fn after every previously queued file operation has finished
+    // WHY: An append must never interleave with a rewrite of the same file
+    withLock(fn) {
+        const result = this.lock.then(fn);
+        this.lock = result.catch(() => {});
+        return result;
+    }
+
+    // Load rows left over from a previous run (e.g. crash during an outage)
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content = '';
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        // A crash mid-append can leave a partial last line - skip unparsable lines
+        this.rows = content
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    this.logger.warn('Skipping corrupt spool line', { path: this.filePath });
+                    return null;
+                }
+            })
+            .filter(Boolean);
+
+        return this.rows.length;
+    }
+
+    // Returns false if the spool is full (row NOT stored)
+    async append(row) {
+        return this.withLock(async () => {
+            if (this.rows.length >= this.maxRows) {
+                return false;
+            }
+
+            const handle = await fs.promises.open(this.filePath, 'a');
+            try {
+                await handle.appendFile(`${JSON.stringify(row)}\n`, 'utf8');
+                await handle.sync();  // Durable before we answer the client
+            } finally {
+                await handle.close();
+            }
+
+            this.rows.push(row);
+            return true;
+        });
+    }
+
+    // Rewrite the file with the rows that are still pending
+    // Temp file + rename: a crash leaves either the old or the new file, never half of one
+    async rewrite() {
+        const tempPath = `${this.filePath}.tmp`;
+        const content = this.rows.map(row => `${JSON.stringify(row)}\n`).join('');
+
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    // Move a row the database will never accept to the rejected file (kept for
+    // inspection), out of the spool
+    async reject(row, error) {
+        await this.withLock(async () => {
+            const entry = { rejected_at: new Date().toISOString(), error: error.message, code: error.code ?? null, row };
+            const handle = await fs.promises.open(this.rejectedPath, 'a');
+            try {
+                await handle.appendFile(`${JSON.stringify(entry)}\n`, 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+
+            this.rows.splice(this.rows.indexOf(row), 1);
+            await this.rewrite();
+        });
+        this.logger.error('Spooled request log rejected by the database, moved aside', {
+            request_id: row.request_id,
+            path: this.rejectedPath,
+            err: error
+        });
+    }
+
+    // Write rows; on a permanent error, halve until the bad row is isolated
+    // Returns the number of rejected rows; throws transient errors
+    async insertOrBisect(rows) {
+        try {
+            await this.insertBatch(rows);
+            return 0;
+        } catch (error) {
+            if (this.isTransientError(error)) {
+                throw error;
+            }
+            if (rows.length === 1) {
+                await this.reject(rows[0], error);
+                return 1;
+            }
+            const middle = Math.ceil(rows.length / 2);
+            return await this.insertOrBisect(rows.slice(0, middle)) + await this.insertOrBisect(rows.slice(middle));
+        }
+    }
+
+    // Replay spooled rows in order, one batch at a time
+    // Stops at the first transient failure (database went away again) and keeps the rest
+    async replay() {
+        if (this.replaying || this.rows.length === 0) {
+            return { replayed: 0, rejected: 0, remaining: this.rows.length };
+        }
+
+        this.replaying = true;
+        let replayed = 0;
+        let rejected = 0;
+
+        try {
+            while (this.rows.length > 0) {
+                // Rows are only appended at the end, so the head is stable outside the lock
+                const batch = this.rows.slice(0, this.batchSize);
+                const batchRejected = await this.insertOrBisect(batch);
+
+                // Rejected rows already left the head
+                await this.withLock(async () => {
+                    this.rows.splice(0, batch.length - batchRejected);
+                    await this.rewrite();
+                });
+
+                replayed += batch.length - batchRejected;
+                rejected += batchRejected;
+            }
+        } catch (error) {
+            this.logger.warn('Spool replay paused', { remaining: this.rows.length, error: error.message });
+        } finally {
+            this.replaying = false;
+        }
+
+        return { replayed, rejected, remaining: this.rows.length };
+    }
+}
+
+module.exports = {
+    RequestLogSpool
+};
@@ -0,0 +1,385 @@
+// ============================================
+// CloudTrace Request Log Storage
+// ============================================
+//
+// PURPOSE: One interface for writing request logs, whatever holds them
+//
+// BACKENDS (STORAGE_BACKEND):
+// - postgres (default) - the shared database every instance writes to.
+//                        The only backend for a real deployment, and the only
+//                        one with the read API, stats, cross-instance live
+//                        stream, API keys and shared rate limits
+// - sqlite             - one local file (SQLITE_PATH), survives restarts.
+//                        Needs the optional better-sqlite3 package
+// - memory             - a bounded in-process array, gone on restart
+// sqlite and memory need no external service: `STORAGE_BACKEND=memory npm start`
+// runs the backend on a laptop without Docker
+//
+// INTERFACE (every method async):
+// - insertRequestLog(row, withSpan, timingAt)
+//                                    one row; DuplicateRequestIdError if the
+//                                    request_id is taken; timingAt() → the row's
+//                                    timings so far, read just before the INSERT
+// - insertRequestLogs(rows)          many rows, duplicates skipped → request_ids
+//                                    actually inserted (the caller reports the rest)
+//                                    (batch mode, spool replay: must be idempotent)
+// - ping()                           throws if the storage is unreachable
+// - close()
+// - isTransientError(error)          (sync) worth retrying / spooling?
+//
+// ROW: request_logs columns, snake_case, timestamp as ISO-8601 string,
+// timings included (see toRequestLogRow in server.js)
+//
+// withSpan(name, { kind, attributes }, fn): tracing hook from the caller, so a
+// backend can report its steps (pool wait, INSERT) as spans without knowing
+// about the tracer
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { CircuitOpenError } = require('./circuit-breaker');
+
+// The request_id is already stored (UUID collision, or a row written twice)
+class DuplicateRequestIdError extends Error {
+    constructor(requestId, cause) {
+        super(`Request ID ${requestId} already exists`);
+        this.name = 'DuplicateRequestIdError';
+        this.requestId = requestId;
+        this.cause = cause;
+    }
+}
+
+const runWithoutSpan = (name, options, fn) => fn();
+const noTiming = () => ({});
+
+// Columns in insert order (same list for every backend)
+const REQUEST_LOG_COLUMNS = [
+    'request_id', 'server_hostname', 'timestamp', 'client_ip', 'forwarded_for',
+    'method', 'path', 'user_agent', 'payload',
+    'db_write_ms', 'db_retries', 'handler_ms', 'trace_id',
+    'instance_id', 'availability_zone', 'instance_type', 'app_version', 'git_sha'
+];
+
+// ?? null: rows spooled before some columns existed
+function columnValues(row) {
+    return REQUEST_LOG_COLUMNS.map(column => row[column] ?? null);
+}
+
+// ============================================
+// POSTGRESQL
+// ============================================
+
+// Network, timeout, DB restarting - worth retrying
+// (the 08xxx connection exceptions also trigger a standby failover, see db-cluster.js)
+const TRANSIENT_PG_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'ECONNREFUSED',
+    '57P01',  // PostgreSQL: admin_shutdown
+    '57P02',  // PostgreSQL: crash_shutdown
+    '57P03',  // PostgreSQL: cannot_connect_now
+    '08003',  // PostgreSQL: connection_does_not_exist
+    '08006',  // PostgreSQL: connection_failure
+    '08001',  // PostgreSQL: sqlclient_unable_to_establish_sqlconnection
+    '08004',  // PostgreSQL: sqlserver_rejected_establishment_of_sqlconnection
+    '08007'   // PostgreSQL: transaction_resolution_unknown
+]);
+
+// Both sides of the subtraction come from the database clock, so app/DB clock skew doesn't matter
+const TIMED_COLUMNS = new Set(['db_write_ms', 'handler_ms']);
+const INSERT_ELAPSED_MS = 'EXTRACT(EPOCH FROM clock_timestamp() - statement_timestamp())::numeric * 1000';
+
+function timedPlaceholder(column, i) {
+    return TIMED_COLUMNS.has(column) ? `ROUND($${i + 1}::numeric + ${INSERT_ELAPSED_MS}, 2)` : `$${i + 1}`;
+}
+
+class PostgresStorage {
+    constructor({ pool, logger = console }) {
+        this.name = 'postgres';
+        this.pool = pool;
+        this.logger = logger;
+    }
+
+    // An open circuit breaker means "unreachable" too: spool or requeue, don't drop
+    isTransientError(error) {
+        return TRANSIENT_PG_ERROR_CODES.has(error.code) || error instanceof CircuitOpenError;
+    }
+
+    async insertRequestLog(row, withSpan = runWithoutSpan, timingAt = noTiming) {
+        // BEST PRACTICE: Always get connection, never reuse across requests
+        // Span: shows time spent waiting when all pool connections are busy
+        const client = await withSpan('db.pool.acquire', {}, () => this.pool.connect());
+        try {
+            await withSpan('db.insert request_logs', {
+                kind: 'client',
+                attributes: { 'db.operation.name': 'INSERT', 'db.collection.name': 'request_logs' }
+            }, async () => {
+                // Transaction: either the row is there or nothing is
+                await client.query('BEGIN');
+                // Timings measured up to here (pool wait, BEGIN, earlier attempts),
+                // plus the time the INSERT itself takes in the database
+                await client.query(
+                    `INSERT INTO request_logs (${REQUEST_LOG_COLUMNS.join(', ')})
+                     VALUES (${REQUEST_LOG_COLUMNS.map(timedPlaceholder).join(', ')})`,
+                    columnValues({ ...row, ...timingAt(), timestamp: new Date(row.timestamp) })
+                );
+                await client.query('COMMIT');
+            });
+        } catch (error) {
+            // BEST PRACTICE: Always rollback on error - never leave a transaction open
+            try {
+                await client.query('ROLLBACK');
+            } catch (rollbackError) {
+                this.logger.error('Rollback failed', { request_id: row.request_id, err: rollbackError });
+            }
+            // 23505 = unique_violation: the request_id is taken (request_ids, migration 013)
+            if (error.code === '23505' || (error.message && error.message.includes('duplicate key'))) {
+                throw new DuplicateRequestIdError(row.request_id, error);
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // One multi-row INSERT (18 parameters per row, see BATCH_MAX_ROWS)
+    // A request_id that is already stored skips its row instead of failing the
+    // whole batch: the claim trigger (migration 013) checks this setting.
+    // RETURNING tells the caller which rows were skipped
+    async insertRequestLogs(rows) {
+        const values = [];
+        const params = [];
+        rows.forEach(row => {
+            const base = params.length;
+            params.push(...columnValues({ ...row, timestamp: new Date(row.timestamp) }));
+            values.push(`(${REQUEST_LOG_COLUMNS.map((_, i) => `$${base + i + 1}`).join(', ')})`);
+        });
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(`SET LOCAL cloudtrace.skip_duplicate_request_ids = 'on'`);
+            const result = await client.query(
+                `INSERT INTO request_logs (${REQUEST_LOG_COLUMNS.join(', ')})
+                 VALUES ${values.join(', ')}
+                 ON CONFLICT (request_id, timestamp) DO NOTHING
+                 RETURNING request_id`,
+                params
+            );
+            await client.query('COMMIT');
+            return result.rows.map(row => row.request_id);
+        } catch (error) {
+            try {
+                await client.query('ROLLBACK');
+            } catch (rollbackError) {
+                this.logger.error('Rollback failed', { rows: rows.length, err: rollbackError });
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async ping() {
+        const client = await this.pool.connect();
+        try {
+            await client.query('SELECT 1');
+        } finally {
+            client.release();
+        }
+    }
+
+    async close() {
+        await this.pool.end();
+    }
+}
+
+// ============================================
+// SQLITE (local file)
+// ============================================
+//
+// - Schema created on open (no migrations: a dev database can just be deleted)
+// - WAL journal: the sqlite3 CLI can read while the server writes
+// - Timestamps stored as ISO-8601 UTC text, payload as JSON text
+// - better-sqlite3 is synchronous: fine for one developer, not for production load
+// ============================================
+
+const SQLITE_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS request_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT NOT NULL UNIQUE,
+        server_hostname TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        client_ip TEXT NOT NULL,
+        forwarded_for TEXT,
+        method TEXT,
+        path TEXT,
+        user_agent TEXT,
+        payload TEXT,
+        db_write_ms REAL,
+        db_retries INTEGER,
+        handler_ms REAL,
+        trace_id TEXT,
+        instance_id TEXT,
+        availability_zone TEXT,
+        instance_type TEXT,
+        app_version TEXT,
+        git_sha TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_timestamp ON request_logs (timestamp);
+`;
+
+// Columns added after the first SQLite release: ALTER files created before them
+const SQLITE_ADDED_COLUMNS = ['instance_id', 'availability_zone', 'instance_type', 'app_version', 'git_sha'];
+
+class SqliteStorage {
+    // onInsert(row): called with every stored row (there is no LISTEN/NOTIFY)
+    constructor({ filePath, onInsert = () => {}, logger = console }) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        this.name = 'sqlite';
+        this.filePath = filePath;
+        this.onInsert = onInsert;
+        this.logger = logger;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SQLITE_SCHEMA);
+        const existing = new Set(this.db.pragma('table_info(request_logs)').map(column => column.name));
+        SQLITE_ADDED_COLUMNS.filter(column => !existing.has(column))
+            .forEach(column => this.db.exec(`ALTER TABLE request_logs ADD COLUMN ${column} TEXT`));
+
+        const placeholders = REQUEST_LOG_COLUMNS.map(() => '?').join(', ');
+        this.insertStatement = this.db.prepare(
+            `INSERT INTO request_logs (${REQUEST_LOG_COLUMNS.join(', ')}) VALUES (${placeholders})`
+        );
+        this.insertIgnoreStatement = this.db.prepare(
+            `INSERT OR IGNORE INTO request_logs (${REQUEST_LOG_COLUMNS.join(', ')}) VALUES (${placeholders})`
+        );
+    }
+
+    // Another process holds the write lock
+    isTransientError(error) {
+        return error.code === 'SQLITE_BUSY' || error.code === 'SQLITE_LOCKED';
+    }
+
+    toValues(row) {
+        return columnValues({
+            ...row,
+            timestamp: new Date(row.timestamp).toISOString(),
+            payload: row.payload ? JSON.stringify(row.payload) : null
+        });
+    }
+
+    async insertRequestLog(row, withSpan = runWithoutSpan, timingAt = noTiming) {
+        const timedRow = { ...row, ...timingAt() };
+        let result;
+        try {
+            result = await withSpan('db.insert request_logs', {
+                kind: 'client',
+                attributes: { 'db.operation.name': 'INSERT', 'db.collection.name': 'request_logs' }
+            }, async () => this.insertStatement.run(...this.toValues(timedRow)));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new DuplicateRequestIdError(row.request_id, error);
+            }
+            throw error;
+        }
+        this.onInsert({ ...timedRow, id: result.lastInsertRowid });
+    }
+
+    async insertRequestLogs(rows) {
+        const inserted = [];
+        // One transaction: one fsync for the whole batch
+        this.db.transaction(() => {
+            rows.forEach(row => {
+                const result = this.insertIgnoreStatement.run(...this.toValues(row));
+                if (result.changes > 0) {
+                    inserted.push({ ...row, id: result.lastInsertRowid });
+                }
+            });
+        })();
+        inserted.forEach(row => this.onInsert(row));
+        return inserted.map(row => row.request_id);
+    }
+
+    async ping() {
+        this.db.prepare('SELECT 1').get();
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+// ============================================
+// IN-MEMORY
+// ============================================
+//
+// - For local runs and tests; every instance has its own rows
+// - Bounded: beyond maxRows the oldest rows are dropped
+// ============================================
+
+class MemoryStorage {
+    constructor({ maxRows = 100000, onInsert = () => {} } = {}) {
+        this.name = 'memory';
+        this.maxRows = maxRows;
+        this.onInsert = onInsert;
+        this.rows = [];
+        this.byRequestId = new Map();  // request_id → row
+        this.nextId = 1;
+    }
+
+    isTransientError() {
+        return false;
+    }
+
+    store(row) {
+        const stored = { ...row, id: this.nextId++ };
+        this.rows.push(stored);
+        this.byRequestId.set(stored.request_id, stored);
+        if (this.rows.length > this.maxRows) {
+            this.byRequestId.delete(this.rows.shift().request_id);
+        }
+        this.onInsert(stored);
+    }
+
+    async insertRequestLog(row, withSpan = runWithoutSpan, timingAt = noTiming) {
+        if (this.byRequestId.has(row.request_id)) {
+            throw new DuplicateRequestIdError(row.request_id);
+        }
+        await withSpan('db.insert request_logs', {
+            kind: 'client',
+            attributes: { 'db.operation.name': 'INSERT', 'db.collection.name': 'request_logs' }
+        }, async () => this.store({ ...row, ...timingAt() }));
+    }
+
+    async insertRequestLogs(rows) {
+        const inserted = [];
+        rows.forEach(row => {
+            if (!this.byRequestId.has(row.request_id)) {
+                this.store(row);
+                inserted.push(row.request_id);
+            }
+        });
+        return inserted;
+    }
+
+    async ping() {}
+
+    async close() {}
+}
+
+module.exports = {
+    PostgresStorage,
+    SqliteStorage,
+    MemoryStorage,
+    DuplicateRequestIdError,
+    TRANSIENT_PG_ERROR_CODES
+};
@@ -0,0 +1,170 @@
+// API key scopes (AUTH_ENABLED) and per-client rate limits (RATE_LIMIT_ENABLED)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestApp } = require('./helpers/test-app');
+const { FakePool, pgError } = require('./helpers/fake-pg');
+const { ApiKeyAuthenticator, generateApiKey } = require('../auth');
+
+describe('authentication', () => {
+    let t;
+    const keys = new Map();  // key id → api_keys row
+
+    // A new key (never cached) with these scopes → "Bearer ..." header
+    function bearer(...scopes) {
+        const { keyId, key, keyHash } = generateApiKey();
+        keys.set(keyId, { key_id: keyId, key_hash: keyHash, name: `test ${scopes.join(' ')}`, scopes });
+        return { Authorization: `Bearer ${key}` };
+    }
+
+    before(async () => {
+        t = await startTestApp({ env: { AUTH_ENABLED: 'true' } });
+        t.pool.handle(/FROM api_keys/, ([keyId]) => ({ rows: keys.has(keyId) ? [keys.get(keyId)] : [] }));
+    });
+
+    after(async () => {
+        await t.stop();
+    });
+
+    it('requires a key to write', async () => {
+        const res = await t.request('/api/request', { method: 'POST' });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error.code, 'unauthorized');
+        assert.equal(res.headers.get('www-authenticate'), 'Bearer realm="cloudtrace"');
+    });
+
+    it('rejects malformed and unknown keys', async () => {
+        const malformed = await t.request('/api/request', { headers: { Authorization: 'Bearer nope' } });
+        assert.equal(malformed.status, 401);
+        assert.equal(malformed.body.error.message, 'Malformed API key');
+
+        const unknown = generateApiKey().key;
+        const res = await t.request('/api/request', { headers: { Authorization: `Bearer ${unknown}` } });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error.message, 'Invalid or revoked API key');
+    });
+
+    it('accepts a key with the route scope', async () => {
+        const write = await t.request('/api/request', { method: 'POST', headers: bearer('logs:write') });
+        assert.equal(write.status, 200);
+        assert.equal(write.body.db_status, 'success');
+
+        const read = await t.request('/api/requests', { headers: bearer('logs:read') });
+        assert.equal(read.status, 200);
+    });
+
+    it('answers 403 when the key lacks the scope', async () => {
+        const res = await t.request('/api/requests', { headers: bearer('logs:write') });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.error.code, 'insufficient_scope');
+        assert.match(res.headers.get('www-authenticate'), /error="insufficient_scope", scope="logs:read"/);
+    });
+
+    it('lets admin keys do everything, and only them read /metrics', async () => {
+        assert.equal((await t.request('/metrics', { headers: bearer('logs:read') })).status, 403);
+        assert.equal((await t.request('/metrics', { headers: bearer('admin') })).status, 200);
+        assert.equal((await t.request('/api/stats', { headers: bearer('admin') })).status, 200);
+    });
+
+    it('accepts ?access_token= on the stream only', async () => {
+        const { Authorization } = bearer('logs:read');
+        const token = Authorization.slice('Bearer '.length);
+
+        const stream = await new Promise((resolve, reject) => {
+            http.get(`${t.baseUrl}/api/stream?access_token=${token}`, resolve).once('error', reject);
+        });
+        assert.equal(stream.statusCode, 200);
+        stream.destroy();
+
+        const res = await t.request(`/api/requests?access_token=${token}`);
+        assert.equal(res.status, 401);
+    });
+
+    it('leaves health checks and CORS preflights open', async () => {
+        assert.equal((await t.request('/health')).status, 200);
+        const preflight = await t.request('/api/request', {
+            method: 'OPTIONS',
+            headers: { Origin: 'http://localhost:8080', 'Access-Control-Request-Method': 'POST' }
+        });
+        assert.equal(preflight.status, 204);
+    });
+
+    it('answers 503 when the key lookup fails', async () => {
+        const headers = bearer('logs:write');
+        t.pool.handle(/FROM api_keys/, () => {
+            throw pgError('ECONNREFUSED');
+        });
+        const res = await t.request('/api/request', { headers });
+        assert.equal(res.status, 503);
+        assert.equal(res.body.error.code, 'auth_unavailable');
+        assert.ok(t.logs.some(line => line.msg === 'API key lookup failed'));
+    });
+});
+
+describe('ApiKeyAuthenticator key cache', () => {
+    const LOOKUP = /FROM api_keys/;
+
+    it('holds at most cacheMaxKeys ids, dropping the oldest', async () => {
+        const pool = new FakePool();
+        const auth = new ApiKeyAuthenticator({ pool, cacheMaxKeys: 2, logger: { warn() {} } });
+        // Random unknown ids, as anyone without a key can send them
+        for (const keyId of ['0000000a', '0000000b', '0000000c']) {
+            assert.equal(await auth.lookup(keyId), null);
+        }
+        assert.deepEqual([...auth.cache.keys()], ['0000000b', '0000000c']);
+
+        await auth.lookup('0000000c');
+        assert.equal(pool.queriesMatching(LOOKUP).length, 3);
+        await auth.lookup('0000000a');
+        assert.equal(pool.queriesMatching(LOOKUP).length, 4);
+    });
+
+    it('drops an expired entry when it is read', async () => {
+        const pool = new FakePool();
+        const auth = new ApiKeyAuthenticator({ pool, cacheTtlMs: 0, logger: { warn() {} } });
+        pool.handle(LOOKUP, () => {
+            // Also on the second lookup: the stale entry is gone before the query
+            assert.equal(auth.cache.has('0000000a'), false);
+            return { rows: [] };
+        });
+        await auth.lookup('0000000a');
+        await auth.lookup('0000000a');
+        assert.equal(pool.queriesMatching(LOOKUP).length, 2);
+        assert.equal(auth.cache.size, 1);
+    });
+});
+
+describe('rate limiting', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({
+            env: { RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_CAPACITY: '2', RATE_LIMIT_REFILL_PER_SEC: '0.01' }
+        });
+    });
+
+    after(async () => {
+        await t.stop();
+    });
+
+    it('answers 429 once the client used up its bucket', async () => {
+        const first = await t.request('/api/request');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('ratelimit-limit'), '2');
+        assert.equal(first.headers.get('ratelimit-remaining'), '1');
+        assert.equal((await t.request('/api/request')).status, 200);
+
+        const limited = await t.request('/api/request');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.error.code, 'rate_limited');
+        assert.equal(limited.body.error.retry_after_seconds, Number(limited.headers.get('retry-after')));
+        assert.ok(limited.body.error.retry_after_seconds > 0);
+        assert.equal(t.pool.queriesMatching(/^INSERT INTO request_logs/).length, 2);
+    });
+
+    it('only limits the write routes', async () => {
+        assert.equal((await t.request('/api/requests')).status, 200);
+        assert.equal((await t.request('/health')).status, 200);
+    });
+});
@@ -0,0 +1,168 @@
+// Database circuit breaker: closed → open → half_open → closed, and what
+// /api/request and /health answer while it is open
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestApp, waitFor } = require('./helpers/test-app');
+const { pgError } = require('./helpers/fake-pg');
+const { CircuitBreaker, CircuitOpenError } = require('../circuit-breaker');
+
+describe('CircuitBreaker', () => {
+    let clock;
+    let breaker;
+    let transitions;
+
+    const ok = () => Promise.resolve('ok');
+    const unreachable = () => Promise.reject(pgError('ECONNREFUSED'));
+
+    beforeEach(() => {
+        clock = 0;
+        transitions = [];
+        breaker = new CircuitBreaker({
+            failureThreshold: 3,
+            resetTimeoutMs: 1000,
+            isFailure: error => error.code === 'ECONNREFUSED',
+            now: () => clock
+        });
+        breaker.on('state', ({ from, to }) => transitions.push(`${from}→${to}`));
+    });
+
+    async function fail(times) {
+        for (let i = 0; i < times; i++) {
+            await assert.rejects(breaker.run(unreachable), { code: 'ECONNREFUSED' });
+        }
+    }
+
+    it('opens after the threshold of failures in a row', async () => {
+        await fail(2);
+        await breaker.run(ok);  // Resets the count
+        await fail(2);
+        assert.equal(breaker.state, 'closed');
+
+        await fail(1);
+        assert.equal(breaker.state, 'open');
+        assert.deepEqual(transitions, ['closed→open']);
+    });
+
+    it('fails fast while open, without calling the database', async () => {
+        await fail(3);
+        clock = 400;
+        let called = false;
+        const error = await breaker.run(() => {
+            called = true;
+        }).catch(e => e);
+        assert.ok(error instanceof CircuitOpenError);
+        assert.equal(error.retryInMs, 600);
+        assert.equal(called, false);
+        assert.deepEqual(breaker.status(), { state: 'open', consecutive_failures: 3, retry_in_ms: 600 });
+    });
+
+    it('counts errors from a reachable database as success', async () => {
+        await fail(2);
+        await assert.rejects(breaker.run(() => Promise.reject(pgError('23505'))));
+        assert.equal(breaker.consecutiveFailures, 0);
+    });
+
+    it('lets one probe through after the reset timeout', async () => {
+        await fail(3);
+        clock = 1000;
+
+        let finishProbe;
+        const probe = breaker.run(() => new Promise(resolve => {
+            finishProbe = resolve;
+        }));
+        assert.equal(breaker.state, 'half_open');
+        await assert.rejects(breaker.run(ok), CircuitOpenError);
+
+        finishProbe('ok');
+        assert.equal(await probe, 'ok');
+        assert.equal(breaker.state, 'closed');
+        assert.deepEqual(transitions, ['closed→open', 'open→half_open', 'half_open→closed']);
+        assert.equal(await breaker.run(ok), 'ok');
+    });
+
+    it('re-opens when the probe fails', async () => {
+        await fail(3);
+        clock = 1500;
+        await fail(1);
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.status().retry_in_ms, 1000);
+    });
+});
+
+describe('circuit breaker (DB_CIRCUIT_BREAKER_*)', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({
+            env: { DB_CIRCUIT_BREAKER_THRESHOLD: '2', DB_CIRCUIT_BREAKER_RESET_MS: '300' }
+        });
+    });
+
+    after(async () => {
+        await t.stop();
+    });
+
+    it('opens during an outage and answers db_status circuit_open', async () => {
+        t.pool.connectError = pgError('ECONNREFUSED', 'connect ECONNREFUSED');
+
+        // Two failed attempts open the breaker; the third retry isn't tried
+        const first = await t.request('/api/request');
+        assert.equal(first.body.db_status, 'circuit_open');
+        assert.equal(first.body.timing.db_retries, 2);
+        assert.ok(t.logs.some(line => line.msg === 'Database circuit breaker opened, failing fast'));
+
+        const started = Date.now();
+        const res = await t.request('/api/request');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.db_status, 'circuit_open');
+        assert.equal(res.body.timing.db_retries, 0);
+        assert.ok(Date.now() - started < 100);
+
+        const metrics = await t.request('/metrics');
+        assert.match(metrics.body, /cloudtrace_db_circuit_breaker_state\{[^}]*state="open"[^}]*\} 1/);
+        assert.match(metrics.body, /cloudtrace_db_writes_total\{[^}]*outcome="circuit_open"[^}]*\} 2/);
+    });
+
+    it('reports the open breaker in /health', async () => {
+        const res = await t.request('/health');
+        assert.equal(res.status, 503);
+        assert.equal(res.body.database, 'disconnected');
+        assert.equal(res.body.circuit_breaker.state, 'open');
+        assert.ok(res.body.circuit_breaker.retry_in_ms > 0);
+    });
+
+    it('closes again once a probe reaches the database', async () => {
+        t.pool.connectError = null;
+        await waitFor(() => t.app.storage.pool.breaker.status().retry_in_ms === 0);
+
+        const health = await t.request('/health');
+        assert.equal(health.status, 200);
+        assert.deepEqual(health.body.circuit_breaker, { state: 'closed', consecutive_failures: 0 });
+        assert.ok(t.logs.some(line => line.msg === 'Database circuit breaker closed, database reachable again'));
+
+        const res = await t.request('/api/request');
+        assert.equal(res.body.db_status, 'success');
+    });
+});
+
+describe('circuit breaker with the spool', () => {
+    it('spools rows instead of failing them', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudtrace-breaker-'));
+        const t = await startTestApp({
+            env: { DB_CIRCUIT_BREAKER_THRESHOLD: '1', SPOOL_ENABLED: 'true', SPOOL_DIR: dir }
+        });
+        try {
+            t.pool.connectError = pgError('57P03', 'the database system is starting up');
+            const res = await t.request('/api/request');
+            assert.equal(res.body.db_status, 'spooled');
+            assert.equal(t.app.storage.pool.breaker.state, 'open');
+        } finally {
+            await t.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,299 @@
+// Standby failover (DB_STANDBY_HOST) and lag-aware read replicas (DB_REPLICA_HOSTS)
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, waitFor } = require('./helpers/test-app');
+const { FakePool, pgError } = require('./helpers/fake-pg');
+const { FailoverPool, ReplicaSet, FAILOVER_ERROR_CODES } = require('../db-cluster');
+
+const INSERT = /^INSERT INTO request_logs (?!.*ON CONFLICT)/;
+const LAG_CHECK = /pg_is_in_recovery/;
+
+// createPool that hands out one FakePool per host → { pools, createPool }
+// lagMs: host → replication lag the lag check reports
+function fakeNodes(lagMs = {}) {
+    const pools = new Map();
+    function createPool(options) {
+        const pool = new FakePool();
+        pool.options = options;
+        pool.handle(LAG_CHECK, () => ({ rows: [{ lag_ms: lagMs[options.host] ?? 0 }] }));
+        pools.set(options.host, pool);
+        return pool;
+    }
+    return { pools, createPool };
+}
+
+function failoverPool({ cooldownMs = 30000 } = {}) {
+    const primary = new FakePool();
+    const nodes = fakeNodes();
+    const pool = new FailoverPool({
+        endpoints: [
+            { name: 'primary', connection: { host: 'db-a', port: 5432 }, pool: primary },
+            { name: 'standby', connection: { host: 'db-b', port: 5432 } }
+        ],
+        poolOptions: { max: 5 },
+        createPool: nodes.createPool,
+        cooldownMs
+    });
+    pool.on('error', () => {});
+    return { pool, primary, standby: () => nodes.pools.get('db-b') };
+}
+
+describe('FailoverPool', () => {
+    it('only fails over on SQLSTATE class 08', () => {
+        assert.deepEqual([...FAILOVER_ERROR_CODES].sort(), ['08001', '08003', '08004', '08006', '08007']);
+    });
+
+    it('switches to the standby when the primary connection fails', async () => {
+        const { pool, primary, standby } = failoverPool();
+        const failovers = [];
+        pool.on('failover', event => failovers.push(event));
+        primary.handle(/SELECT 1/, () => {
+            throw pgError('08006', 'connection failure');
+        });
+
+        await assert.rejects(pool.query('SELECT 1'), { code: '08006' });
+        assert.equal(pool.active.name, 'standby');
+        assert.equal(failovers.length, 1);
+        assert.equal(failovers[0].from.name, 'primary');
+
+        await pool.query('SELECT 1');
+        assert.equal(standby().queriesMatching(/SELECT 1/).length, 1);
+        assert.equal(standby().options.max, 5);
+        assert.deepEqual(pool.status(), {
+            active: 'standby',
+            host: 'db-b:5432',
+            failovers: 1,
+            last_failover_at: pool.status().last_failover_at
+        });
+    });
+
+    it('stays on the node for other errors', async () => {
+        const { pool, primary } = failoverPool();
+        primary.handle(/SELECT 1/, () => {
+            throw pgError('57014', 'canceling statement due to statement timeout');
+        });
+        await assert.rejects(pool.query('SELECT 1'), { code: '57014' });
+        assert.equal(pool.active.name, 'primary');
+    });
+
+    it('counts errors on checked-out connections', async () => {
+        const { pool, primary } = failoverPool();
+        primary.handle(/^COMMIT/, () => {
+            throw pgError('08003', 'connection does not exist');
+        });
+        const client = await pool.connect();
+        await client.query('BEGIN');
+        await assert.rejects(client.query('COMMIT'), { code: '08003' });
+        client.release();
+        assert.equal(pool.active.name, 'standby');
+        assert.equal(primary.released, 1);
+    });
+
+    it('does not switch back within the cooldown', async () => {
+        const { pool, primary, standby } = failoverPool();
+        primary.handle(/SELECT 1/, () => {
+            throw pgError('08006');
+        });
+        await assert.rejects(pool.query('SELECT 1'));
+        await pool.query('SELECT 2');  // Standby pool is created on first use
+        standby().handle(/SELECT 1/, () => {
+            throw pgError('08006');
+        });
+        await assert.rejects(pool.query('SELECT 1'));
+        assert.equal(pool.active.name, 'standby');
+        assert.equal(pool.failovers, 1);
+    });
+
+    it('ends every pool it created', async () => {
+        const { pool, primary, standby } = failoverPool({ cooldownMs: 0 });
+        primary.handle(/SELECT 1/, () => {
+            throw pgError('08006');
+        });
+        await assert.rejects(pool.query('SELECT 1'));
+        await pool.query('SELECT 2');
+        await pool.end();
+        assert.equal(primary.ended, true);
+        assert.equal(standby().ended, true);
+    });
+});
+
+describe('ReplicaSet', () => {
+    function replicaSet(lagMs) {
+        const nodes = fakeNodes(lagMs);
+        const replicas = new ReplicaSet({
+            replicas: Object.keys(lagMs).map(host => ({ host, port: 5432 })),
+            connection: { host: 'db-a', port: 5432, user: 'cloudtrace' },
+            createPool: nodes.createPool,
+            maxLagMs: 1000,
+            checkIntervalMs: 10000,
+            logger: { info() {}, warn() {} }
+        });
+        return { replicas, pools: nodes.pools };
+    }
+
+    it('uses nothing before the first check', () => {
+        const { replicas } = replicaSet({ 'db-r1': 0 });
+        assert.equal(replicas.pick(), null);
+    });
+
+    it('round-robins over replicas within the lag limit', async () => {
+        const { replicas, pools } = replicaSet({ 'db-r1': 200, 'db-r2': 5000, 'db-r3': 0 });
+        await replicas.check();
+        const picked = [replicas.pick(), replicas.pick(), replicas.pick()].map(replica => replica.name);
+        assert.deepEqual(picked, ['db-r1:5432', 'db-r3:5432', 'db-r1:5432']);
+        assert.equal(pools.get('db-r1').options.user, 'cloudtrace');
+        assert.deepEqual(replicas.status(), [
+            { host: 'db-r1:5432', in_use: true, lag_ms: 200 },
+            { host: 'db-r2:5432', in_use: false, lag_ms: 5000 },
+            { host: 'db-r3:5432', in_use: true, lag_ms: 0 }
+        ]);
+    });
+
+    it('skips unreachable replicas until a check succeeds', async () => {
+        const { replicas, pools } = replicaSet({ 'db-r1': 0 });
+        pools.get('db-r1').connectError = pgError('ECONNREFUSED', 'connect ECONNREFUSED');
+        await replicas.check();
+        assert.equal(replicas.pick(), null);
+        assert.equal(replicas.status()[0].error, 'connect ECONNREFUSED');
+
+        pools.get('db-r1').connectError = null;
+        await replicas.check();
+        const replica = replicas.pick();
+        assert.equal(replica.name, 'db-r1:5432');
+
+        replicas.markDown(replica, new Error('connection terminated'));
+        assert.equal(replicas.pick(), null);
+    });
+});
+
+describe('read routing (DB_REPLICA_HOSTS)', () => {
+    let t;
+    let nodes;
+
+    before(async () => {
+        nodes = fakeNodes({ 'db-r1': 50, 'db-r2': 60000 });
+        t = await startTestApp({
+            env: { DB_HOST: 'db-a', DB_REPLICA_HOSTS: 'db-r1, db-r2', DB_REPLICA_MAX_LAG_MS: '1000' },
+            createPool: nodes.createPool
+        });
+        await waitFor(() => nodes.pools.get('db-r1').queriesMatching(LAG_CHECK).length > 0);
+    });
+
+    after(async () => {
+        await t.stop();
+        assert.equal(nodes.pools.get('db-r1').ended, true);
+    });
+
+    beforeEach(() => {
+        for (const pool of [t.pool, ...nodes.pools.values()]) {
+            pool.queries = [];
+        }
+    });
+
+    it('reads from the replica within the lag limit, writes to the primary', async () => {
+        assert.equal((await t.request('/api/requests')).status, 200);
+        assert.equal((await t.request('/api/stats')).status, 200);
+        assert.equal((await t.request('/api/request')).status, 200);
+
+        const replica = nodes.pools.get('db-r1');
+        assert.equal(replica.queriesMatching(/FROM request_logs/).length, 3);
+        assert.equal(nodes.pools.get('db-r2').queriesMatching(/FROM request_logs/).length, 0);
+        assert.equal(t.pool.queriesMatching(/FROM request_logs/).length, 0);
+        assert.equal(t.pool.queriesMatching(INSERT).length, 1);
+        assert.equal(replica.queriesMatching(INSERT).length, 0);
+    });
+
+    it('asks the primary for a log the replica does not have yet', async () => {
+        t.pool.handle(/WHERE request_id = \$1/, () => ({
+            rows: [{ id: '7', request_id: 'fresh-request', server_hostname: 'test-host', timestamp: new Date(), client_ip: '127.0.0.1' }]
+        }));
+        const res = await t.request('/api/requests/fresh-request');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.request_id, 'fresh-request');
+        assert.equal(nodes.pools.get('db-r1').queriesMatching(/WHERE request_id = \$1/).length, 1);
+    });
+
+    it('reads from the primary when a recovery conflict cancels the replica query', async () => {
+        const replica = nodes.pools.get('db-r1');
+        let conflicts = 1;
+        replica.handle(/FROM request_logs/, () => {
+            if (conflicts-- > 0) {
+                throw pgError('40001', 'canceling statement due to conflict with recovery');
+            }
+            return { rows: [], rowCount: 0 };
+        });
+        assert.equal((await t.request('/api/requests')).status, 200);
+        assert.equal(t.pool.queriesMatching(/FROM request_logs/).length, 1);
+
+        // The replica itself is fine: the next read goes there again
+        assert.equal((await t.request('/api/requests')).status, 200);
+        assert.equal(replica.queriesMatching(/FROM request_logs/).length, 2);
+        assert.equal(t.pool.queriesMatching(/FROM request_logs/).length, 1);
+    });
+
+    it('falls back to the primary when the replica connection fails', async () => {
+        // pg's own error for a dropped connection carries no code
+        nodes.pools.get('db-r1').handle(/FROM request_logs/, () => {
+            throw new Error('Connection terminated unexpectedly');
+        });
+        assert.equal((await t.request('/api/requests')).status, 200);
+        assert.equal(t.pool.queriesMatching(/FROM request_logs/).length, 1);
+
+        // Skipped until the next lag check
+        assert.equal((await t.request('/api/requests')).status, 200);
+        assert.equal(nodes.pools.get('db-r1').queriesMatching(/FROM request_logs/).length, 1);
+    });
+
+    it('reports replica lag in /health and /metrics', async () => {
+        const health = await t.request('/health');
+        assert.equal(health.status, 200);
+        assert.equal(health.body.database_node, 'primary');
+        assert.equal(health.body.database_host, 'db-a:5432');
+        assert.deepEqual(health.body.replicas.map(replica => replica.host), ['db-r1:5432', 'db-r2:5432']);
+        assert.equal(health.body.replicas[1].in_use, false);
+
+        const metrics = await t.request('/metrics');
+        assert.match(metrics.body, /cloudtrace_db_replica_lag_seconds\{[^}]*replica="db-r2:5432"[^}]*\} 60\b/);
+    });
+});
+
+describe('failover (DB_STANDBY_HOST)', () => {
+    it('moves writes, health and the live stream to the standby', async () => {
+        const nodes = fakeNodes();
+        const t = await startTestApp({
+            env: { DB_HOST: 'db-a', DB_STANDBY_HOST: 'db-b:5433' },
+            createPool: nodes.createPool
+        });
+        try {
+            assert.equal(t.listenClients[0].connection.host, 'db-a');
+            t.pool.handle(INSERT, () => {
+                throw pgError('08006', 'connection failure');
+            });
+
+            // The write path's retry lands on the standby
+            const res = await t.request('/api/request');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.db_status, 'success');
+            const standby = nodes.pools.get('db-b');
+            assert.equal(standby.options.port, 5433);
+            assert.equal(standby.queriesMatching(INSERT).length, 1);
+            assert.ok(t.logs.some(line => line.msg === 'Database failover' && line.to === 'standby'));
+
+            const health = await t.request('/health');
+            assert.equal(health.body.database_node, 'standby');
+            assert.equal(health.body.database_host, 'db-b:5433');
+
+            const metrics = await t.request('/metrics');
+            assert.match(metrics.body, /cloudtrace_db_failovers_total\{[^}]*from="primary"[^}]*\} 1/);
+            assert.match(metrics.body, /cloudtrace_db_active_node\{[^}]*node="standby"[^}]*\} 1/);
+
+            // LISTEN reconnects to the node that now runs the INSERTs
+            await waitFor(() => t.listenClients.length === 2, { timeoutMs: 3000 });
+            assert.equal(t.listenClients[0].ended, true);
+            assert.equal(t.listenClients[1].connection.host, 'db-b');
+        } finally {
+            await t.stop();
+        }
+    });
+});
@@ -0,0 +1,81 @@
+// ============================================
+// Fake EC2 instance metadata service (IMDSv2)
+// ============================================
+//
+// startFakeImds({ port, metadata }) → { url, requests, close() }
+// - PUT /latest/api/token hands out a token (the TTL header is required)
+// - GET /latest/meta-data/<path> answers with metadata[path], but only with
+//   that token - like an instance with HttpTokens=required
+// - requests: every { method, path } received, for assertions
+//
+// Also runs standalone for local development:
+//   npm run mock-imds            (listens on 127.0.0.1:1338)
+//   INSTANCE_METADATA_ENABLED=true INSTANCE_METADATA_ENDPOINT=http://127.0.0.1:1338 npm start
+// ============================================
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_METADATA = {
+    'instance-id': 'i-0abc1234def567890',
+    'placement/availability-zone': 'us-east-1a',
+    'instance-type': 't3.micro'
+};
+
+function startFakeImds({ port = 0, metadata = DEFAULT_METADATA } = {}) {
+    const tokens = new Set();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        requests.push({ method: req.method, path: req.url });
+
+        if (req.method === 'PUT' && req.url === '/latest/api/token') {
+            if (!req.headers['x-aws-ec2-metadata-token-ttl-seconds']) {
+                res.writeHead(400).end();
+                return;
+            }
+            const token = crypto.randomBytes(16).toString('hex');
+            tokens.add(token);
+            res.writeHead(200, { 'Content-Type': 'text/plain' }).end(token);
+            return;
+        }
+
+        const match = /^\/latest\/meta-data\/(.+)$/.exec(req.url);
+        if (req.method === 'GET' && match) {
+            if (!tokens.has(req.headers['x-aws-ec2-metadata-token'])) {
+                res.writeHead(401).end();
+                return;
+            }
+            if (!(match[1] in metadata)) {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain' }).end(metadata[match[1]]);
+            return;
+        }
+
+        res.writeHead(404).end();
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    startFakeImds({ port: Number(process.env.PORT) || 1338 }).then(({ url }) => {
+        console.log(`Fake instance metadata service on ${url}`);
+    });
+}
+
+module.exports = {
+    startFakeImds,
+    DEFAULT_METADATA
+};
@@ -0,0 +1,113 @@
+// ============================================
+// Fake pg Pool / Client for the test suite
+// ============================================
+//
+// PURPOSE: Run the real server code against scripted database answers -
+// no PostgreSQL needed, and failures (outages, duplicate keys) on demand
+//
+// FakePool
+// - handle(pattern, handler): queries whose SQL matches pattern (RegExp) are
+//   answered by handler(params, sql) → { rows, rowCount }, or it throws like pg
+//   would (see pgError). Later handlers win, unmatched queries → no rows
+// - connectError: set to an Error and connect() / query() reject with it
+// - queries: every { sql, params } seen, SQL whitespace collapsed
+//
+// FakeListenClient: the live stream's LISTEN connection; notify(row) plays an
+// INSERT trigger's pg_notify
+// ============================================
+
+const { EventEmitter } = require('events');
+
+// Error shaped like pg's: code is the SQLSTATE or the Node network code
+function pgError(code, message = `fake ${code} error`) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class FakePool extends EventEmitter {
+    constructor() {
+        super();
+        this.handlers = [];
+        this.queries = [];
+        this.connectError = null;
+        this.ended = false;
+        this.released = 0;
+        this.totalCount = 0;
+        this.idleCount = 0;
+        this.waitingCount = 0;
+    }
+
+    handle(pattern, handler) {
+        this.handlers.unshift({ pattern, handler });
+        return this;
+    }
+
+    queriesMatching(pattern) {
+        return this.queries.filter(query => pattern.test(query.sql));
+    }
+
+    async query(sql, params = []) {
+        if (this.connectError) {
+            throw this.connectError;
+        }
+        return this.run(sql, params);
+    }
+
+    async run(sql, params) {
+        const normalized = sql.replace(/\s+/g, ' ').trim();
+        this.queries.push({ sql: normalized, params });
+        const match = this.handlers.find(({ pattern }) => pattern.test(normalized));
+        const result = match ? await match.handler(params, normalized) : null;
+        return { rows: [], rowCount: 0, ...result };
+    }
+
+    async connect() {
+        if (this.connectError) {
+            throw this.connectError;
+        }
+        return {
+            query: (sql, params = []) => this.run(sql, params),
+            release: () => {
+                this.released++;
+            }
+        };
+    }
+
+    async end() {
+        this.ended = true;
+    }
+}
+
+class FakeListenClient extends EventEmitter {
+    constructor() {
+        super();
+        this.channels = [];
+        this.ended = false;
+    }
+
+    async connect() {}
+
+    async query(sql) {
+        const listen = /^LISTEN (\w+)/.exec(sql);
+        if (listen) {
+            this.channels.push(listen[1]);
+        }
+        return { rows: [], rowCount: 0 };
+    }
+
+    notify(row) {
+        this.emit('notification', { channel: this.channels[0], payload: JSON.stringify(row) });
+    }
+
+    async end() {
+        this.ended = true;
+        this.emit('end');
+    }
+}
+
+module.exports = {
+    FakePool,
+    FakeListenClient,
+    pgError
+};
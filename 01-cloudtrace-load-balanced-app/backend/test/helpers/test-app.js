@@ -0,0 +1,88 @@
+// ============================================
+// Test app: createApp() on a random port
+// ============================================
+//
+// startTestApp({ env, pool, createPool }) → {
+//   app, pool, listenClients, logs, baseUrl,
+//   request(path, options) → { status, headers, body } (body parsed when JSON),
+//   stop() → shutdown exit code
+// }
+// - env: variables on top of TEST_ENV (same names and strings as process.env;
+//   the real environment and .env are never read)
+// - createPool: pg options → pool for the standby and read replicas
+//   (default: the same pool)
+// - listenClients: every LISTEN client, with the connection it was made for
+// - logs: every log line as an object, for asserting on warnings and errors
+//
+// waitFor(predicate): polls until predicate() is truthy - for work the server
+// does after the response (timing UPDATE, spool replay, batch flush)
+// ============================================
+
+const { createApp } = require('../../server');
+const { loadConfig } = require('../../config');
+const { Logger } = require('../../logger');
+const { FakePool, FakeListenClient } = require('./fake-pg');
+
+// No migrations or maintenance against the fake pool, no drain delay
+const TEST_ENV = {
+    NODE_ENV: 'test',
+    MIGRATE_ON_START: 'false',
+    MAINTENANCE_ENABLED: 'false',
+    SHUTDOWN_GRACE_MS: '0',
+    SHUTDOWN_TIMEOUT_MS: '2000'
+};
+
+async function startTestApp({ env = {}, pool = new FakePool(), createPool } = {}) {
+    const config = loadConfig({ ...TEST_ENV, ...env });
+    const logs = [];
+    const listenClients = [];
+    const app = createApp({
+        config,
+        pool,
+        ...(createPool && { createPool }),
+        createListenClient: connection => {
+            const client = new FakeListenClient();
+            client.connection = connection;
+            listenClients.push(client);
+            return client;
+        },
+        logger: new Logger({ level: 'debug', write: line => logs.push(JSON.parse(line)) }),
+        hostname: 'test-host'
+    });
+
+    const { port } = await app.start({ port: 0, host: '127.0.0.1' });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    async function request(path, { method = 'GET', headers = {}, body } = {}) {
+        const res = await fetch(`${baseUrl}${path}`, { method, headers, body });
+        const text = await res.text();
+        const isJson = (res.headers.get('content-type') || '').startsWith('application/json');
+        return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+    }
+
+    let exitCode = null;
+    async function stop() {
+        if (exitCode === null) {
+            exitCode = await app.shutdown('test');
+        }
+        return exitCode;
+    }
+
+    return { app, pool, listenClients, logs, baseUrl, request, stop };
+}
+
+async function waitFor(predicate, { timeoutMs = 2000, intervalMs = 10 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Condition not met within ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    startTestApp,
+    waitFor,
+    TEST_ENV
+};
@@ -0,0 +1,182 @@
+// Instance identity: IMDSv2 against the fake metadata service, the fallback
+// off AWS, and where the identity shows up (responses, /health, stored rows)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestApp } = require('./helpers/test-app');
+const { startFakeImds, DEFAULT_METADATA } = require('./helpers/fake-imds');
+const { InstanceMetadataClient, loadInstanceIdentity } = require('../instance-metadata');
+
+const INSERT = /^INSERT INTO request_logs (?!.*ON CONFLICT)/;
+const QUIET_LOGGER = { info() {}, warn() {} };
+
+describe('InstanceMetadataClient', () => {
+    let imds;
+
+    before(async () => {
+        imds = await startFakeImds();
+    });
+
+    after(async () => {
+        await imds.close();
+    });
+
+    it('gets a session token first, then reads the metadata with it', async () => {
+        const client = new InstanceMetadataClient({ endpoint: `${imds.url}/` });
+        assert.deepEqual(await client.fetch(), {
+            instance_id: DEFAULT_METADATA['instance-id'],
+            availability_zone: DEFAULT_METADATA['placement/availability-zone'],
+            instance_type: DEFAULT_METADATA['instance-type']
+        });
+        assert.deepEqual(imds.requests[0], { method: 'PUT', path: '/latest/api/token' });
+        assert.equal(imds.requests.length, 4);
+    });
+});
+
+describe('loadInstanceIdentity', () => {
+    const base = { metadataEnabled: true, metadataTimeoutMs: 100, appVersion: '2.3.4', gitSha: 'abc1234' };
+
+    it('falls back to nulls when nothing answers (off AWS)', async () => {
+        // Accepts connections but never responds, like a filtered link-local address
+        const silent = http.createServer(() => {});
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+        const warnings = [];
+        try {
+            const started = Date.now();
+            const identity = await loadInstanceIdentity(
+                { ...base, metadataEndpoint: `http://127.0.0.1:${silent.address().port}` },
+                { info() {}, warn: (msg, fields) => warnings.push({ msg, ...fields }) }
+            );
+            assert.ok(Date.now() - started < 1000);
+            assert.deepEqual(identity, {
+                instance_id: null,
+                availability_zone: null,
+                instance_type: null,
+                app_version: '2.3.4',
+                git_sha: 'abc1234'
+            });
+            assert.equal(warnings[0].msg, 'Instance metadata unavailable, continuing without it');
+            assert.match(warnings[0].err.message, /did not respond within 100ms/);
+        } finally {
+            silent.closeAllConnections();
+            await new Promise(resolve => silent.close(resolve));
+        }
+    });
+
+    it('does not call the metadata service when disabled', async () => {
+        const imds = await startFakeImds();
+        try {
+            const identity = await loadInstanceIdentity({ ...base, metadataEnabled: false, metadataEndpoint: imds.url }, QUIET_LOGGER);
+            assert.equal(identity.instance_id, null);
+            assert.equal(identity.app_version, '2.3.4');
+            assert.deepEqual(imds.requests, []);
+        } finally {
+            await imds.close();
+        }
+    });
+});
+
+describe('instance identity (INSTANCE_METADATA_ENABLED)', () => {
+    let imds;
+    let t;
+
+    before(async () => {
+        imds = await startFakeImds({
+            metadata: {
+                'instance-id': 'i-0123456789abcdef0',
+                'placement/availability-zone': 'eu-west-1b',
+                'instance-type': 'm7g.large'
+            }
+        });
+        t = await startTestApp({
+            env: {
+                INSTANCE_METADATA_ENABLED: 'true',
+                INSTANCE_METADATA_ENDPOINT: imds.url,
+                APP_VERSION: '1.4.0',
+                GIT_SHA: '0f3c2a9e1b7d4c6a8e5f0b1d2c3a4e5f6a7b8c9d'
+            }
+        });
+    });
+
+    after(async () => {
+        await t.stop();
+        await imds.close();
+    });
+
+    const expected = {
+        instance_id: 'i-0123456789abcdef0',
+        availability_zone: 'eu-west-1b',
+        instance_type: 'm7g.large',
+        app_version: '1.4.0',
+        git_sha: '0f3c2a9e1b7d4c6a8e5f0b1d2c3a4e5f6a7b8c9d'
+    };
+
+    it('returns it with every request and stores it with the row', async () => {
+        const res = await t.request('/api/request');
+        assert.equal(res.body.db_status, 'success');
+        assert.deepEqual(res.body.instance, expected);
+
+        const [insert] = t.pool.queriesMatching(INSERT);
+        assert.deepEqual(insert.params.slice(-5), Object.values(expected));
+    });
+
+    it('reports it in /health', async () => {
+        const res = await t.request('/health');
+        assert.deepEqual(res.body.instance, expected);
+    });
+
+    it('includes the AZ in stats and the read API', async () => {
+        t.pool.handle(/GROUP BY server_hostname\s/, () => ({
+            rows: [{
+                server_hostname: 'test-host',
+                request_count: '3',
+                first_seen: new Date(),
+                last_seen: new Date(),
+                availability_zone: 'eu-west-1b'
+            }]
+        }));
+        const stats = await t.request('/api/stats');
+        assert.equal(stats.body.servers[0].availability_zone, 'eu-west-1b');
+
+        // Rows written before migration 012 have no identity
+        t.pool.handle(/WHERE request_id = \$1/, () => ({
+            rows: [{ id: '1', request_id: 'older-request', server_hostname: 'test-host', timestamp: new Date(), client_ip: '127.0.0.1' }]
+        }));
+        const log = await t.request('/api/requests/older-request');
+        assert.deepEqual(log.body.data.instance, {
+            instance_id: null,
+            availability_zone: null,
+            instance_type: null,
+            app_version: null,
+            git_sha: null
+        });
+    });
+
+    it('passes it on to the live stream', async () => {
+        const stream = await new Promise((resolve, reject) => {
+            http.get(`${t.baseUrl}/api/stream`, resolve).once('error', reject);
+        });
+        try {
+            stream.setEncoding('utf8');
+            let received = '';
+            const event = new Promise(resolve => {
+                stream.on('data', chunk => {
+                    received += chunk;
+                    if (received.includes('event: request\n')) {
+                        resolve(received);
+                    }
+                });
+            });
+            t.listenClients[0].notify({
+                id: 9, request_id: 'streamed-request', server_hostname: 'other-host', timestamp: new Date().toISOString(),
+                client_ip: '127.0.0.1', availability_zone: 'eu-west-1c', instance_id: 'i-0fedcba9876543210'
+            });
+            const data = JSON.parse(/data: (.*)\n/.exec((await event).split('event: request\n')[1])[1]);
+            assert.equal(data.instance.availability_zone, 'eu-west-1c');
+            assert.equal(data.instance.instance_id, 'i-0fedcba9876543210');
+        } finally {
+            stream.destroy();
+        }
+    });
+});
@@ -0,0 +1,400 @@
+// Routing, health, metrics, CORS, read API and live stream against the fake pool
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestApp } = require('./helpers/test-app');
+const { pgError } = require('./helpers/fake-pg');
+
+function logRow(id, overrides = {}) {
+    return {
+        id: String(id),
+        request_id: `req-${String(id).padStart(8, '0')}`,
+        server_hostname: 'ip-10-0-1-5',
+        timestamp: new Date(Date.UTC(2024, 0, 15, 12, 0, id)),
+        client_ip: '203.0.113.7',
+        forwarded_for: '203.0.113.7',
+        method: 'POST',
+        path: '/api/request',
+        user_agent: 'node-test',
+        payload: { label: 'smoke' },
+        db_write_ms: 1.5,
+        db_retries: 0,
+        handler_ms: 2.5,
+        trace_id: '0af7651916cd43dd8448eb211c80319c',
+        ...overrides
+    };
+}
+
+// Reads an SSE response until an event of this type arrives → its parsed data
+function nextEvent(res, type) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        const onData = chunk => {
+            buffer += chunk;
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            for (const event of events) {
+                const data = /^data: (.*)$/m.exec(event);
+                if (event.includes(`event: ${type}\n`) && data) {
+                    res.off('data', onData);
+                    resolve(JSON.parse(data[1]));
+                    return;
+                }
+            }
+        };
+        res.setEncoding('utf8');
+        res.on('data', onData);
+        res.once('error', reject);
+    });
+}
+
+// Resolves with the first `count` events of this type (they may share a chunk)
+function collectEvents(res, type, count) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        const collected = [];
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+            buffer += chunk;
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            for (const event of events) {
+                const data = /^data: (.*)$/m.exec(event);
+                if (event.includes(`event: ${type}\n`) && data) {
+                    collected.push(JSON.parse(data[1]));
+                }
+            }
+            if (collected.length >= count) {
+                resolve(collected);
+            }
+        });
+        res.once('error', reject);
+    });
+}
+
+function openStream(baseUrl, path = '/api/stream') {
+    return new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${path}`, resolve).once('error', reject);
+    });
+}
+
+describe('routes', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({ env: { SSE_MAX_CLIENTS: '1' } });
+    });
+
+    after(async () => {
+        await t.stop();
+    });
+
+    beforeEach(() => {
+        t.pool.handlers = [];
+        t.pool.connectError = null;
+    });
+
+    describe('health', () => {
+        it('reports liveness without touching the database', async () => {
+            t.pool.connectError = pgError('ECONNREFUSED');
+            const res = await t.request('/health/live');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.status, 'alive');
+            assert.equal(res.body.server_hostname, 'test-host');
+        });
+
+        it('is ready while the database answers', async () => {
+            for (const path of ['/health', '/health/ready']) {
+                const res = await t.request(path);
+                assert.equal(res.status, 200);
+                assert.equal(res.body.status, 'healthy');
+                assert.equal(res.body.database, 'connected');
+            }
+        });
+
+        it('is not ready while the database is down', async () => {
+            t.pool.connectError = pgError('ECONNREFUSED');
+            const res = await t.request('/health');
+            assert.equal(res.status, 503);
+            assert.equal(res.body.status, 'unhealthy');
+            assert.equal(res.body.database, 'disconnected');
+        });
+    });
+
+    describe('metrics', () => {
+        it('serves the Prometheus text format', async () => {
+            await t.request('/health/live');
+            const res = await t.request('/metrics');
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/plain/);
+            assert.match(res.body, /cloudtrace_http_requests_total\{.*route="\/health\/live".*\} \d+/);
+            assert.match(res.body, /cloudtrace_db_pool_clients\{.*state="total".*\} 0/);
+        });
+    });
+
+    describe('router', () => {
+        it('answers an unknown path with a 404 envelope', async () => {
+            const res = await t.request('/nope', { headers: { 'X-Request-Id': 'test-404-request' } });
+            assert.equal(res.status, 404);
+            assert.deepEqual(res.body, {
+                error: { status: 404, code: 'not_found', message: 'No route for /nope', request_id: 'test-404-request' }
+            });
+            assert.equal(res.headers.get('x-request-id'), 'test-404-request');
+        });
+
+        it('answers a known path with the wrong method with 405 and Allow', async () => {
+            const res = await t.request('/api/requests', { method: 'POST' });
+            assert.equal(res.status, 405);
+            assert.equal(res.body.error.code, 'method_not_allowed');
+            assert.equal(res.headers.get('allow'), 'GET, OPTIONS');
+        });
+
+        it('answers a plain OPTIONS with 204 and Allow', async () => {
+            const res = await t.request('/api/request', { method: 'OPTIONS' });
+            assert.equal(res.status, 204);
+            assert.equal(res.headers.get('allow'), 'GET, POST, OPTIONS');
+        });
+
+        it('answers a CORS preflight', async () => {
+            const res = await t.request('/api/request', {
+                method: 'OPTIONS',
+                headers: { Origin: 'http://localhost:8080', 'Access-Control-Request-Method': 'POST' }
+            });
+            assert.equal(res.status, 204);
+            assert.equal(res.headers.get('access-control-allow-origin'), '*');
+            assert.match(res.headers.get('access-control-allow-methods'), /POST/);
+        });
+
+        it('rejects a preflight from an unknown origin with the error envelope', async () => {
+            const strict = await startTestApp({ env: { CORS_ORIGINS: 'https://app.example.com' } });
+            try {
+                const res = await strict.request('/api/request', {
+                    method: 'OPTIONS',
+                    headers: {
+                        Origin: 'https://evil.example',
+                        'Access-Control-Request-Method': 'POST',
+                        'X-Request-Id': 'test-preflight-403'
+                    }
+                });
+                assert.equal(res.status, 403);
+                assert.deepEqual(res.body, {
+                    error: { status: 403, code: 'origin_not_allowed', message: 'Origin not allowed', request_id: 'test-preflight-403' }
+                });
+                assert.equal(res.headers.get('access-control-allow-origin'), null);
+            } finally {
+                await strict.stop();
+            }
+        });
+
+        it('puts CORS headers on error responses too', async () => {
+            const res = await t.request('/nope', { headers: { Origin: 'http://localhost:8080' } });
+            assert.equal(res.status, 404);
+            assert.equal(res.headers.get('access-control-allow-origin'), '*');
+        });
+
+        it('generates a request ID when the one sent is invalid', async () => {
+            const res = await t.request('/health/live', { headers: { 'X-Request-Id': 'bad id!' } });
+            assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+        });
+    });
+
+    describe('POST /api/request', () => {
+        it('rejects NUL characters before anything is written', async () => {
+            const inserts = t.pool.queriesMatching(/^INSERT INTO request_logs/).length;
+            const bodies = [
+                { label: 'deploy\u0000' },
+                { tags: ['ok', 'sm\u0000oke'] },
+                { metadata: { build: { steps: ['lint', 'te\u0000st'] } } },
+                { metadata: { 'commit\u0000': 'a1b2c3' } }
+            ];
+            for (const body of bodies) {
+                const res = await t.request('/api/request', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                assert.equal(res.status, 400, JSON.stringify(body));
+                assert.equal(res.body.error.code, 'invalid_payload');
+                assert.match(res.body.error.message, new RegExp(`not allowed: ${Object.keys(body)[0]}$`));
+            }
+            assert.equal(t.pool.queriesMatching(/^INSERT INTO request_logs/).length, inserts);
+        });
+    });
+
+    describe('GET /api/requests', () => {
+        it('returns a page and a cursor for the next one', async () => {
+            t.pool.handle(/FROM request_logs/, () => ({ rows: [logRow(3), logRow(2), logRow(1)] }));
+            const res = await t.request('/api/requests?limit=2&hostname=ip-10-0-1-5');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.map(row => row.id), ['3', '2']);
+            assert.equal(res.body.data[0].timing.handler_ms, 2.5);
+            assert.equal(res.body.page.has_more, true);
+
+            const [query] = t.pool.queriesMatching(/FROM request_logs/);
+            assert.match(query.sql, /server_hostname = ANY\(\$1\)/);
+            assert.deepEqual(query.params, [['ip-10-0-1-5'], 3]);
+
+            await t.request(`/api/requests?limit=2&cursor=${res.body.page.next_cursor}`);
+            const next = t.pool.queriesMatching(/FROM request_logs/)[1];
+            assert.match(next.sql, /\(timestamp, id\) < \(\$1, \$2\)/);
+            assert.deepEqual(next.params.slice(1), ['2', 3]);
+        });
+
+        it('rejects invalid parameters with invalid_query', async () => {
+            for (const query of ['limit=0', 'order=up', 'from=yesterday', 'trace_id=xyz', 'cursor=nope']) {
+                const res = await t.request(`/api/requests?${query}`);
+                assert.equal(res.status, 400, query);
+                assert.equal(res.body.error.code, 'invalid_query', query);
+            }
+        });
+
+        it('answers 503 when the query fails', async () => {
+            t.pool.handle(/FROM request_logs/, () => {
+                throw pgError('57014', 'canceling statement due to statement timeout');
+            });
+            const res = await t.request('/api/requests');
+            assert.equal(res.status, 503);
+            assert.equal(res.body.error.code, 'database_unavailable');
+        });
+    });
+
+    describe('GET /api/requests/:requestId', () => {
+        it('returns the stored row', async () => {
+            t.pool.handle(/WHERE request_id = \$1/, params => ({ rows: [logRow(7, { request_id: params[0] })] }));
+            const res = await t.request('/api/requests/abc12345-0000');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.request_id, 'abc12345-0000');
+        });
+
+        it('answers 404 for an unknown ID', async () => {
+            const res = await t.request('/api/requests/abc12345-0000');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.error.code, 'not_found');
+        });
+
+        it('rejects a malformed ID', async () => {
+            const res = await t.request(`/api/requests/${encodeURIComponent('bad id!')}`);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error.code, 'invalid_query');
+        });
+
+        it('answers 503 when the lookup fails', async () => {
+            t.pool.handle(/WHERE request_id = \$1/, () => {
+                throw pgError('ECONNRESET');
+            });
+            const res = await t.request('/api/requests/abc12345-0000');
+            assert.equal(res.status, 503);
+            assert.equal(res.body.error.code, 'database_unavailable');
+        });
+    });
+
+    describe('GET /api/stats', () => {
+        it('aggregates per server and per bucket', async () => {
+            const firstSeen = new Date(Date.UTC(2024, 0, 15, 10));
+            const lastSeen = new Date(Date.UTC(2024, 0, 15, 11));
+            t.pool
+                .handle(/GROUP BY server_hostname/, () => ({
+                    rows: [
+                        { server_hostname: 'a', request_count: '3', first_seen: firstSeen, last_seen: lastSeen },
+                        { server_hostname: 'b', request_count: '1', first_seen: firstSeen, last_seen: lastSeen }
+                    ]
+                }))
+                .handle(/GROUP BY bucket_start/, () => ({
+                    rows: [
+                        { bucket_start: firstSeen, server_hostname: 'a', request_count: '3' },
+                        { bucket_start: firstSeen, server_hostname: 'b', request_count: '1' }
+                    ]
+                }));
+            const res = await t.request('/api/stats?bucket=hour');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total_requests, 4);
+            assert.deepEqual(res.body.servers.map(server => server.share), [0.75, 0.25]);
+            assert.equal(res.body.balance.server_count, 2);
+            assert.deepEqual(res.body.histogram, [
+                { bucket_start: firstSeen.toISOString(), total: 4, servers: { a: 3, b: 1 } }
+            ]);
+        });
+
+        it('rejects an invalid bucket or range', async () => {
+            for (const query of ['bucket=week', 'bucket=minute&from=2020-01-01T00:00:00Z']) {
+                const res = await t.request(`/api/stats?${query}`);
+                assert.equal(res.status, 400, query);
+                assert.equal(res.body.error.code, 'invalid_query', query);
+            }
+        });
+
+        it('answers 503 when the aggregation fails', async () => {
+            t.pool.handle(/FROM request_logs/, () => {
+                throw pgError('ETIMEDOUT');
+            });
+            const res = await t.request('/api/stats');
+            assert.equal(res.status, 503);
+            assert.equal(res.body.error.code, 'database_unavailable');
+        });
+    });
+
+    describe('GET /api/stream', () => {
+        it('listens for inserts and fans them out', async () => {
+            assert.deepEqual(t.listenClients[0].channels, ['request_logs_insert']);
+
+            const stream = await openStream(t.baseUrl);
+            try {
+                assert.equal(stream.statusCode, 200);
+                assert.equal(stream.headers['content-type'], 'text/event-stream');
+                assert.deepEqual(await nextEvent(stream, 'hello'), { server_hostname: 'test-host' });
+
+                const received = nextEvent(stream, 'request');
+                t.listenClients[0].notify({ ...logRow(9), label: 'smoke' });
+                const event = await received;
+                assert.equal(event.id, '9');
+                assert.equal(event.request_id, 'req-00000009');
+                assert.equal(event.label, 'smoke');
+
+                // SSE_MAX_CLIENTS=1
+                const res = await t.request('/api/stream');
+                assert.equal(res.status, 503);
+                assert.equal(res.body.error.code, 'too_many_stream_clients');
+            } finally {
+                stream.destroy();
+            }
+        });
+
+        it('replays rows after Last-Event-ID', async () => {
+            // The previous test's stream frees its SSE_MAX_CLIENTS slot once the server sees the close
+            await new Promise(resolve => setTimeout(resolve, 100));
+            t.pool.handle(/WHERE id > \$1/, () => ({ rows: [logRow(11)] }));
+            const stream = await new Promise((resolve, reject) => {
+                http.get(`${t.baseUrl}/api/stream`, { headers: { 'Last-Event-ID': '10' } }, resolve).once('error', reject);
+            });
+            try {
+                const event = await nextEvent(stream, 'request');
+                assert.equal(event.id, '11');
+                assert.deepEqual(t.pool.queriesMatching(/WHERE id > \$1/)[0].params, ['10', 100]);
+            } finally {
+                stream.destroy();
+            }
+        });
+
+        it('keeps rows committed while the replay runs, without duplicates', async () => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            t.pool.handle(/WHERE id > \$1/, () => {
+                // Both commits land while the SELECT is in flight; 21 is also in its result
+                t.listenClients[0].notify(logRow(21));
+                t.listenClients[0].notify(logRow(22));
+                return { rows: [logRow(21)] };
+            });
+            const stream = await new Promise((resolve, reject) => {
+                http.get(`${t.baseUrl}/api/stream`, { headers: { 'Last-Event-ID': '20' } }, resolve).once('error', reject);
+            });
+            try {
+                const received = collectEvents(stream, 'request', 3);
+                // Once live, rows go straight out again
+                setTimeout(() => t.listenClients[0].notify(logRow(23)), 50);
+                assert.deepEqual((await received).map(event => event.id), ['21', '22', '23']);
+            } finally {
+                stream.destroy();
+            }
+        });
+    });
+});
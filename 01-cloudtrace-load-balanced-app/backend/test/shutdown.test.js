@@ -0,0 +1,168 @@
+// Graceful shutdown: draining, in-flight requests, the shutdown timeout,
+// and SIGTERM / SIGINT on a real `node server.js` process
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startTestApp, waitFor } = require('./helpers/test-app');
+const { FakePool } = require('./helpers/fake-pg');
+
+const INSERT = /^INSERT INTO request_logs (?!.*ON CONFLICT)/;
+
+// INSERT that waits until release() is called
+function blockedInserts(pool) {
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+    pool.handle(INSERT, () => released.then(() => ({ rowCount: 1 })));
+    return () => release();
+}
+
+describe('shutdown', () => {
+    it('drains: readiness fails first, in-flight requests finish, then connections close', async () => {
+        const pool = new FakePool();
+        const release = blockedInserts(pool);
+        const t = await startTestApp({ pool, env: { SHUTDOWN_GRACE_MS: '200' } });
+
+        const inFlight = t.request('/api/request');
+        await waitFor(() => pool.queriesMatching(INSERT).length === 1);
+
+        const exitCode = t.stop();
+        assert.equal(t.app.isDraining, true);
+
+        // Grace period: still serving, but the ALB is told to go away
+        const health = await t.request('/health');
+        assert.equal(health.status, 503);
+        assert.equal(health.body.status, 'draining');
+        assert.equal(health.headers.get('connection'), 'close');
+
+        release();
+        const res = await inFlight;
+        assert.equal(res.status, 200);
+        assert.equal(res.body.db_status, 'success');
+
+        assert.equal(await exitCode, 0);
+        assert.equal(pool.ended, true);
+        assert.equal(t.listenClients[0].ended, true);
+        const messages = t.logs.map(line => line.msg);
+        assert.ok(messages.indexOf('HTTP server closed') < messages.indexOf('Database connections closed'));
+    });
+
+    it('gives up on requests still running after SHUTDOWN_TIMEOUT_MS', async () => {
+        const pool = new FakePool();
+        const release = blockedInserts(pool);
+        const t = await startTestApp({ pool, env: { SHUTDOWN_TIMEOUT_MS: '200' } });
+
+        const inFlight = t.request('/api/request');
+        await waitFor(() => pool.queriesMatching(INSERT).length === 1);
+
+        assert.equal(await t.stop(), 1);
+        assert.ok(t.logs.some(line => line.msg === 'Requests still running after shutdown timeout, closing anyway'));
+
+        release();
+        await inFlight.catch(() => {});
+    });
+
+    it('closes open live streams', async () => {
+        const t = await startTestApp();
+        const res = await fetch(`${t.baseUrl}/api/stream`);
+        assert.equal(res.status, 200);
+
+        assert.equal(await t.stop(), 0);
+        // The stream ends instead of holding the server open
+        await res.text();
+    });
+});
+
+describe('signals (node server.js)', () => {
+    const serverPath = path.join(__dirname, '..', 'server.js');
+
+    function freePort() {
+        return new Promise((resolve, reject) => {
+            const probe = net.createServer().listen(0, '127.0.0.1', () => {
+                const { port } = probe.address();
+                probe.close(() => resolve(port));
+            });
+            probe.once('error', reject);
+        });
+    }
+
+    // Starts the real entry point (memory storage: no database needed)
+    // → { child, port, lines, exited } once it listens
+    // Real env vars win over .env, so a developer's .env can't turn on auth here
+    async function spawnServer(env) {
+        const port = await freePort();
+        const child = spawn(process.execPath, [serverPath], {
+            env: {
+                ...process.env,
+                NODE_ENV: 'test',
+                STORAGE_BACKEND: 'memory',
+                PORT: String(port),
+                LOG_FORMAT: 'json',
+                LOG_LEVEL: 'info',
+                AUTH_ENABLED: 'false',
+                RATE_LIMIT_ENABLED: 'false',
+                SPOOL_ENABLED: 'false',
+                ...env
+            },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        const lines = [];
+        let buffer = '';
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            buffer += chunk;
+            const parts = buffer.split('\n');
+            buffer = parts.pop();
+            parts.filter(Boolean).forEach(line => lines.push(JSON.parse(line)));
+        });
+        const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+        await waitFor(() => lines.some(line => line.msg === 'Server is running and ready to accept requests'), {
+            timeoutMs: 10000
+        });
+        return { child, port, lines, exited };
+    }
+
+    it('does not start when required', async () => {
+        // A listening server would keep the process alive
+        const child = spawn(process.execPath, ['-e', `require(${JSON.stringify(serverPath)})`], {
+            env: { ...process.env, STORAGE_BACKEND: 'memory' },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+        });
+        const code = await new Promise(resolve => child.once('exit', resolve));
+        assert.equal(code, 0);
+        assert.equal(output, '');
+    });
+
+    it('drains and exits 0 on SIGTERM', async () => {
+        const { child, port, lines, exited } = await spawnServer({ SHUTDOWN_GRACE_MS: '300' });
+        const stored = await fetch(`http://127.0.0.1:${port}/api/request`).then(res => res.json());
+        assert.equal(stored.db_status, 'success');
+
+        child.kill('SIGTERM');
+        await waitFor(() => lines.some(line => line.msg === 'Shutdown signal received, draining'));
+        const health = await fetch(`http://127.0.0.1:${port}/health`);
+        assert.equal(health.status, 503);
+
+        assert.equal(await exited, 0);
+        assert.ok(lines.some(line => line.msg === 'Database connections closed'));
+    });
+
+    it('exits 1 right away on a second signal', async () => {
+        const { child, lines, exited } = await spawnServer({ SHUTDOWN_GRACE_MS: '30000' });
+        child.kill('SIGINT');
+        await waitFor(() => lines.some(line => line.msg === 'Shutdown signal received, draining'));
+        child.kill('SIGTERM');
+
+        assert.equal(await exited, 1);
+        assert.ok(lines.some(line => line.msg === 'Signal received again, exiting immediately'));
+    });
+});
@@ -0,0 +1,75 @@
+// STORAGE_BACKEND=memory: no pool at all, PostgreSQL-only routes answer 501
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestApp } = require('./helpers/test-app');
+
+describe('memory storage', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({ env: { STORAGE_BACKEND: 'memory' } });
+    });
+
+    after(async () => {
+        await t.stop();
+    });
+
+    it('stores request logs without a database', async () => {
+        const res = await t.request('/api/request', { headers: { 'X-Request-Id': 'memory-request-1' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.db_status, 'success');
+        assert.equal(t.app.storage.byRequestId.get('memory-request-1').server_hostname, 'test-host');
+        assert.deepEqual(t.pool.queries, []);
+        assert.equal(t.listenClients.length, 0);
+    });
+
+    it('detects request ID collisions', async () => {
+        const res = await t.request('/api/request', { headers: { 'X-Request-Id': 'memory-request-1' } });
+        assert.equal(res.body.db_status, 'success');
+        assert.notEqual(res.body.request_id, 'memory-request-1');
+    });
+
+    it('is healthy', async () => {
+        const res = await t.request('/health');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.database, 'connected');
+    });
+
+    it('answers 501 on the PostgreSQL-only routes', async () => {
+        for (const path of ['/api/requests', '/api/requests/memory-request-1', '/api/stats']) {
+            const res = await t.request(path);
+            assert.equal(res.status, 501, path);
+            assert.equal(res.body.error.code, 'not_supported_by_storage', path);
+        }
+    });
+
+    it('streams this instance\'s own inserts', async () => {
+        const stream = await new Promise((resolve, reject) => {
+            http.get(`${t.baseUrl}/api/stream`, resolve).once('error', reject);
+        });
+        try {
+            stream.setEncoding('utf8');
+            let received = '';
+            const event = new Promise(resolve => {
+                stream.on('data', chunk => {
+                    received += chunk;
+                    if (received.includes('event: request\n')) {
+                        resolve(received);
+                    }
+                });
+            });
+            await t.request('/api/request', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'memory-request-2' },
+                body: JSON.stringify({ label: 'local' })
+            });
+            const text = await event;
+            assert.match(text, /"request_id":"memory-request-2"/);
+            assert.match(text, /"label":"local"/);
+        } finally {
+            stream.destroy();
+        }
+    });
+});
@@ -0,0 +1,425 @@
+// POST/GET /api/request: payloads, retry with backoff, error classification,
+// UUID collisions, spool and batch mode against the fake pool
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestApp, waitFor } = require('./helpers/test-app');
+const { FakePool, pgError } = require('./helpers/fake-pg');
+const { BatchWriter } = require('../batch-writer');
+
+// One row per transaction (sync mode) vs multi-row, duplicates skipped (batch mode, spool replay)
+const INSERT = /^INSERT INTO request_logs (?!.*ON CONFLICT)/;
+const BATCH_INSERT = /ON CONFLICT \(request_id, timestamp\) DO NOTHING/;
+const PARAMS_PER_ROW = 18;  // REQUEST_LOG_COLUMNS in storage.js
+
+// INSERT handler that throws the given errors in turn, then succeeds
+function failingInserts(...errors) {
+    let calls = 0;
+    return () => {
+        const error = errors[calls++];
+        if (error) {
+            throw error;
+        }
+        return { rowCount: 1 };
+    };
+}
+
+// What the multi-row INSERT ... RETURNING request_id answers when every row is written
+function insertedRows(params) {
+    const rows = params.filter((_, i) => i % PARAMS_PER_ROW === 0).map(request_id => ({ request_id }));
+    return { rows, rowCount: rows.length };
+}
+
+function postJson(t, body, headers = {}) {
+    return t.request('/api/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+describe('write path (sync mode)', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp();
+    });
+
+    after(async () => {
+        await t.stop();
+    });
+
+    beforeEach(() => {
+        t.pool.handlers = [];
+        t.pool.queries = [];
+        t.pool.released = 0;
+        t.logs.length = 0;
+    });
+
+    it('stores the request in one transaction, with its timings', async () => {
+        const res = await postJson(t, { label: 'deploy-42', tags: ['smoke'] }, {
+            'User-Agent': 'node-test',
+            traceparent: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.db_status, 'success');
+        assert.equal(res.body.server_hostname, 'test-host');
+        assert.equal(res.body.trace_id, '0af7651916cd43dd8448eb211c80319c');
+        assert.deepEqual(res.body.payload, { label: 'deploy-42', tags: ['smoke'] });
+        assert.equal(res.body.timing.db_retries, 0);
+        assert.match(res.headers.get('server-timing'), /^db;dur=[\d.]+;desc="DB write \(0 retries\)", handler;dur=/);
+
+        const statements = t.pool.queries.map(query => query.sql.split(' ')[0]);
+        assert.deepEqual(statements.slice(0, 3), ['BEGIN', 'INSERT', 'COMMIT']);
+        const [insert] = t.pool.queriesMatching(INSERT);
+        assert.equal(insert.params[0], res.body.request_id);
+        assert.equal(insert.params[1], 'test-host');
+        assert.deepEqual(insert.params.slice(5, 9), ['POST', '/api/request', 'node-test', { label: 'deploy-42', tags: ['smoke'] }]);
+        assert.equal(insert.params[12], res.body.trace_id);
+
+        // Timings go into the same INSERT: no UPDATE after the response
+        const [dbWriteMs, dbRetries, handlerMs] = insert.params.slice(9, 12);
+        assert.equal(dbRetries, 0);
+        assert.ok(dbWriteMs <= res.body.timing.db_write_ms && handlerMs <= res.body.timing.handler_ms);
+        assert.equal(t.pool.queriesMatching(/^UPDATE request_logs/).length, 0);
+    });
+
+    it('stores the write time of the successful attempt, not just what came before it', async () => {
+        // A slow first BEGIN: a first-try success that still spends time in the database
+        let slowBegins = 1;
+        t.pool.handle(/^BEGIN$/, async () => {
+            if (slowBegins-- > 0) {
+                await new Promise(resolve => setTimeout(resolve, 30));
+            }
+            return { rows: [], rowCount: 0 };
+        });
+        const res = await t.request('/api/request');
+        assert.equal(res.body.timing.db_retries, 0);
+
+        const [insert] = t.pool.queriesMatching(INSERT);
+        const [dbWriteMs, , handlerMs] = insert.params.slice(9, 12);
+        assert.ok(dbWriteMs >= 30, `stored db_write_ms ${dbWriteMs}`);
+        assert.ok(handlerMs >= dbWriteMs);
+        // PostgreSQL adds the INSERT's own run time to both
+        assert.match(insert.sql, /ROUND\(\$10::numeric \+ EXTRACT\(EPOCH FROM clock_timestamp\(\) - statement_timestamp\(\)\)/);
+        assert.match(insert.sql, /ROUND\(\$12::numeric \+ EXTRACT/);
+    });
+
+    it('stores GET requests without a body', async () => {
+        for (const route of ['/', '/api/request']) {
+            const res = await t.request(route);
+            assert.equal(res.status, 200, route);
+            assert.equal(res.body.method, 'GET');
+            assert.equal(res.body.payload, undefined);
+        }
+        assert.equal(t.pool.queriesMatching(INSERT).length, 2);
+    });
+
+    it('keeps a propagated X-Request-Id', async () => {
+        const res = await t.request('/api/request', { headers: { 'X-Request-Id': 'client-chosen-id' } });
+        assert.equal(res.body.request_id, 'client-chosen-id');
+        assert.equal(t.pool.queriesMatching(INSERT)[0].params[0], 'client-chosen-id');
+    });
+
+    it('retries transient errors with backoff', async () => {
+        t.pool.handle(INSERT, failingInserts(pgError('ECONNRESET'), pgError('57P01')));
+        const res = await t.request('/api/request');
+        assert.equal(res.body.db_status, 'success');
+        assert.equal(res.body.timing.db_retries, 2);
+        // 100 ms + 200 ms backoff
+        assert.ok(res.body.timing.db_write_ms >= 300, `db_write_ms ${res.body.timing.db_write_ms}`);
+        assert.equal(t.pool.queriesMatching(/^ROLLBACK/).length, 2);
+        // The stored row knows about the attempts before it
+        const stored = t.pool.queriesMatching(INSERT).at(-1).params;
+        assert.equal(stored[10], 2);
+        assert.ok(stored[9] >= 300, `stored db_write_ms ${stored[9]}`);
+
+        const retries = t.logs.filter(line => line.msg === 'Database write failed, retrying');
+        assert.deepEqual(retries.map(line => line.retry_in_ms), [100, 200]);
+        assert.equal(t.pool.released, t.pool.queriesMatching(/^BEGIN/).length);
+    });
+
+    it('gives up after three transient failures', async () => {
+        t.pool.handle(INSERT, failingInserts(pgError('ETIMEDOUT'), pgError('ETIMEDOUT'), pgError('ETIMEDOUT')));
+        const res = await t.request('/api/request');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.db_status, 'failed');
+        assert.equal(res.body.timing.db_retries, 2);
+        assert.equal(res.body.db_error, 'fake ETIMEDOUT error');
+        assert.ok(t.logs.some(line => line.msg === 'Database write failed' && line.error_code === 'ETIMEDOUT'));
+    });
+
+    it('does not retry permanent errors', async () => {
+        t.pool.handle(INSERT, failingInserts(pgError('42P01', 'relation "request_logs" does not exist')));
+        const res = await t.request('/api/request');
+        assert.equal(res.body.db_status, 'failed');
+        assert.equal(res.body.timing.db_retries, 0);
+        assert.equal(res.body.db_error, 'relation "request_logs" does not exist');
+        assert.equal(t.pool.queriesMatching(INSERT).length, 1);
+    });
+
+    it('retries a request ID collision with a new UUID', async () => {
+        t.pool.handle(INSERT, failingInserts(pgError('23505', 'duplicate key value violates unique constraint')));
+        const res = await t.request('/api/request', { headers: { 'X-Request-Id': 'already-stored-id' } });
+        assert.equal(res.body.db_status, 'success');
+        assert.notEqual(res.body.request_id, 'already-stored-id');
+        assert.equal(res.headers.get('x-request-id'), 'already-stored-id');
+
+        const inserts = t.pool.queriesMatching(INSERT);
+        assert.deepEqual(inserts.map(insert => insert.params[0]), ['already-stored-id', res.body.request_id]);
+        assert.ok(t.logs.some(line => line.msg === 'Request ID already stored, retrying with a new UUID'));
+    });
+
+    it('fails when the new UUID collides too', async () => {
+        const duplicate = () => pgError('23505', 'duplicate key value violates unique constraint');
+        t.pool.handle(INSERT, failingInserts(duplicate(), duplicate()));
+        const res = await t.request('/api/request');
+        assert.equal(res.body.db_status, 'failed');
+        assert.match(res.body.db_error, /collision/);
+        assert.equal(t.pool.queriesMatching(INSERT).length, 2);
+    });
+
+    describe('request body', () => {
+        // Rejected before anything is written
+        afterEach(() => {
+            assert.equal(t.pool.queriesMatching(INSERT).length, 0);
+        });
+
+        it('rejects invalid JSON with invalid_payload', async () => {
+            const res = await t.request('/api/request', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{"label":'
+            });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error.code, 'invalid_payload');
+        });
+
+        it('rejects unknown fields with invalid_payload', async () => {
+            const res = await postJson(t, { label: 'ok', extra: true });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error.code, 'invalid_payload');
+        });
+
+        it('rejects other content types with 415', async () => {
+            const res = await t.request('/api/request', {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: 'label=smoke'
+            });
+            assert.equal(res.status, 415);
+            assert.equal(res.body.error.code, 'unsupported_media_type');
+        });
+
+        it('rejects a body over REQUEST_BODY_MAX_BYTES with 413', async () => {
+            const res = await postJson(t, { label: 'x', metadata: { blob: 'x'.repeat(10000) } });
+            assert.equal(res.status, 413);
+            assert.equal(res.body.error.code, 'payload_too_large');
+        });
+    });
+});
+
+describe('write path (spool)', () => {
+    let t;
+    let spoolDir;
+
+    before(async () => {
+        spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudtrace-spool-'));
+        // No circuit breaker: spooling several rows would open it and hold back the replay
+        t = await startTestApp({ env: { SPOOL_ENABLED: 'true', SPOOL_DIR: spoolDir, DB_CIRCUIT_BREAKER_ENABLED: 'false' } });
+    });
+
+    after(async () => {
+        await t.stop();
+        fs.rmSync(spoolDir, { recursive: true, force: true });
+    });
+
+    it('spools rows while the database is unreachable and replays them once it is back', async () => {
+        t.pool.connectError = pgError('ECONNREFUSED');
+        const res = await t.request('/api/request');
+        assert.equal(res.body.db_status, 'spooled');
+
+        const unhealthy = await t.request('/health');
+        assert.equal(unhealthy.status, 503);
+        assert.equal(unhealthy.body.spool_depth, 1);
+
+        t.pool.connectError = null;
+        t.pool.handle(BATCH_INSERT, insertedRows);
+        const healthy = await t.request('/health');
+        assert.equal(healthy.status, 200);
+
+        await waitFor(() => t.pool.queriesMatching(BATCH_INSERT).length === 1);
+        const [replay] = t.pool.queriesMatching(BATCH_INSERT);
+        assert.equal(replay.params[0], res.body.request_id);
+        await waitFor(() => t.logs.some(line => line.msg === 'Replayed spooled request logs'));
+    });
+
+    it('moves a row the database rejects aside and replays the rest', async () => {
+        t.pool.connectError = pgError('ECONNREFUSED');
+        const ids = ['spooled-row-1', 'poison-row-2', 'spooled-row-3'];
+        for (const id of ids) {
+            assert.equal((await t.request('/api/request', { headers: { 'X-Request-Id': id } })).body.db_status, 'spooled');
+        }
+
+        t.pool.connectError = null;
+        t.pool.handle(BATCH_INSERT, params => {
+            if (params.includes('poison-row-2')) {
+                throw pgError('22001', 'value too long for type character varying(45)');
+            }
+            return insertedRows(params);
+        });
+        await t.request('/health');
+        await waitFor(() => t.logs.some(line => line.msg === 'Replayed spooled request logs' && line.rejected === 1));
+
+        // The whole batch, then its halves, then the bad row alone
+        const written = t.pool.queriesMatching(BATCH_INSERT).map(insert => insert.params.filter((_, i) => i % PARAMS_PER_ROW === 0));
+        assert.deepEqual(written.slice(-5), [ids, ids.slice(0, 2), ['spooled-row-1'], ['poison-row-2'], ['spooled-row-3']]);
+
+        const rejected = fs.readFileSync(path.join(spoolDir, 'request-logs-test-host.rejected.jsonl'), 'utf8')
+            .trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(rejected.map(entry => [entry.row.request_id, entry.code]), [['poison-row-2', '22001']]);
+        assert.equal((await t.request('/health')).body.spool_depth, 0);
+        assert.match((await t.request('/metrics')).body, /cloudtrace_spool_rows_total\{[^}]*event="rejected"[^}]*\} 1/);
+    });
+
+    it('does not spool permanent errors', async () => {
+        t.pool.handle(INSERT, failingInserts(pgError('23502', 'null value in column "client_ip"')));
+        const res = await t.request('/api/request');
+        assert.equal(res.body.db_status, 'failed');
+    });
+});
+
+describe('write path (batch mode)', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({ env: { WRITE_MODE: 'batch', BATCH_FLUSH_MS: '20' } });
+    });
+
+    after(async () => {
+        await t.stop();
+    });
+
+    it('queues rows and writes them in one multi-row INSERT', async () => {
+        t.pool.handle(BATCH_INSERT, insertedRows);
+        const responses = await Promise.all([1, 2, 3].map(() => t.request('/api/request')));
+        responses.forEach(res => {
+            assert.equal(res.body.db_status, 'queued');
+            assert.equal(res.body.timing.db_write_ms, null);
+        });
+        assert.doesNotMatch(responses[0].headers.get('server-timing'), /^db;/);
+
+        await waitFor(() => t.pool.queriesMatching(BATCH_INSERT).length > 0);
+        const written = t.pool.queriesMatching(BATCH_INSERT)
+            .flatMap(insert => insert.params.filter((_, i) => i % PARAMS_PER_ROW === 0));
+        assert.deepEqual(written.sort(), responses.map(res => res.body.request_id).sort());
+        assert.equal(t.pool.queriesMatching(INSERT).length, 0);
+
+        // Taken request_ids skip their row instead of failing the batch (migration 013)
+        assert.ok(t.pool.queriesMatching(/^SET LOCAL cloudtrace\.skip_duplicate_request_ids = 'on'$/).length > 0);
+        assert.ok(t.pool.released > 0);
+    });
+
+    it('keeps rows for the next flush while the database is unreachable', async () => {
+        let failures = 1;
+        t.pool.handle(BATCH_INSERT, params => {
+            if (failures-- > 0) {
+                throw pgError('ECONNREFUSED');
+            }
+            return insertedRows(params);
+        });
+        const before = t.pool.queriesMatching(BATCH_INSERT).length;
+        const res = await t.request('/api/request');
+        await waitFor(() => t.pool.queriesMatching(BATCH_INSERT).length >= before + 2);
+        assert.ok(t.logs.some(line => line.msg === 'Batch write failed, rows kept for the next flush'));
+        assert.equal(t.pool.queriesMatching(BATCH_INSERT).at(-1).params[0], res.body.request_id);
+    });
+
+    it('requeues a row whose request_id is taken with a new UUID', async () => {
+        // Claims request_ids like the trigger of migration 013: one row per ID, the rest skipped
+        const stored = new Set();
+        t.pool.handle(BATCH_INSERT, params => {
+            const rows = insertedRows(params).rows.filter(row => !stored.has(row.request_id) && stored.add(row.request_id));
+            return { rows, rowCount: rows.length };
+        });
+        // Two calls of one trace: both take its trace-id as request_id
+        const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+        const traceparent = `00-${traceId}-00f067aa0ba902b7-01`;
+        const responses = await Promise.all([1, 2].map(() => t.request('/api/request', { headers: { traceparent } })));
+        responses.forEach(res => {
+            assert.equal(res.body.db_status, 'queued');
+            assert.equal(res.body.request_id, traceId);
+        });
+
+        await waitFor(() => t.logs.some(line => line.msg === 'Request ID already stored, retrying with a new UUID'));
+        const [retry] = t.logs.filter(line => line.msg === 'Request ID already stored, retrying with a new UUID');
+        assert.equal(retry.request_id, traceId);
+        await waitFor(() => stored.has(retry.new_request_id));
+
+        // Both rows stored, each still in the original trace
+        const written = t.pool.queriesMatching(BATCH_INSERT)
+            .flatMap(insert => insert.params.filter((_, i) => i % PARAMS_PER_ROW === 0)
+                .map((requestId, row) => [requestId, insert.params[row * PARAMS_PER_ROW + 12]]))
+            .filter(([requestId]) => requestId === traceId || requestId === retry.new_request_id);
+        assert.deepEqual(written.at(-1), [retry.new_request_id, traceId]);
+        assert.ok(written.some(([requestId, rowTraceId]) => requestId === traceId && rowTraceId === traceId));
+        assert.match(t.app.metrics.render(), /cloudtrace_db_writes_total\{[^}]*outcome="uuid_collision"[^}]*\} 1/);
+    });
+
+    it('flushes the queue on shutdown', async () => {
+        const pool = new FakePool().handle(BATCH_INSERT, insertedRows);
+        const slow = await startTestApp({ pool, env: { WRITE_MODE: 'batch', BATCH_FLUSH_MS: '60000' } });
+        const res = await slow.request('/api/request');
+        assert.equal(pool.queriesMatching(BATCH_INSERT).length, 0);
+
+        assert.equal(await slow.stop(), 0);
+        assert.equal(pool.queriesMatching(BATCH_INSERT)[0].params[0], res.body.request_id);
+        assert.equal(pool.ended, true);
+    });
+
+    it('reports rows it cannot write at shutdown as dropped', async () => {
+        const slow = await startTestApp({
+            env: { WRITE_MODE: 'batch', BATCH_FLUSH_MS: '60000', BATCH_MAX_ROWS: '2' }
+        });
+        slow.pool.connectError = pgError('ECONNREFUSED');
+        await Promise.all([1, 2, 3].map(() => slow.request('/api/request')));
+
+        await slow.stop();
+        // Both batches are tried once: nothing is left to a flush that never comes
+        const dropped = slow.logs.filter(line => line.msg === 'Batch write failed at shutdown, rows dropped');
+        assert.deepEqual(dropped.map(line => line.rows), [2, 1]);
+        assert.match(slow.app.metrics.render(), /cloudtrace_db_writes_total\{[^}]*outcome="permanent_failure"[^}]*\} 3/);
+        assert.equal(slow.logs.find(line => line.msg === 'Batch queue flushed').remaining, 0);
+    });
+});
+
+describe('BatchWriter', () => {
+    it('logs a failing onFlushError instead of rejecting the flush', async () => {
+        const errors = [];
+        const writer = new BatchWriter({
+            flushIntervalMs: 60000,
+            maxBatchRows: 2,
+            maxQueueRows: 10,
+            insertBatch: async () => {
+                throw pgError('ECONNREFUSED');
+            },
+            onFlushError: async () => {
+                throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+            },
+            logger: { error: (msg, fields) => errors.push({ msg, ...fields }) }
+        });
+        // A full batch flushes from enqueue(), with nobody awaiting it
+        writer.enqueue({ request_id: 'row-1' });
+        writer.enqueue({ request_id: 'row-2' });
+        await writer.flushing;
+
+        assert.deepEqual(errors.map(line => [line.msg, line.rows, line.err.code]), [
+            ['Failed batch could not be handled, rows may be lost', 2, 'ENOSPC']
+        ]);
+        assert.equal(writer.flushing, null);
+        await writer.stop();
+    });
+});
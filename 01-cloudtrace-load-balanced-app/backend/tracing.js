@@ -0,0 +1,404 @@
+// ============================================
+// CloudTrace Distributed Tracing (W3C Trace Context + OTLP)
+// ============================================
+//
+// PURPOSE: Follow ONE request from the browser through the ALB,
+// the EC2 instance that served it and every database attempt
+//
+// KEY CONCEPTS:
+// 1. Trace     - Everything that happened for one user action (32 hex chars trace-id)
+// 2. Span      - One timed operation inside the trace (16 hex chars span-id)
+// 3. Parent    - Spans form a tree: handler → pool acquire / insert attempt
+// 4. traceparent header - "00-<trace-id>-<parent span-id>-<flags>"
+//    carries the trace across process boundaries (browser → backend)
+//
+// SPANS WE CREATE (see server.js):
+//   GET /api/request                 (server span, child of the browser's span)
+//   ├── db.pool.acquire              (waiting for a pooled connection)
+//   ├── db.insert request_logs       (attempt 1)
+//   ├── db.pool.acquire
+//   └── db.insert request_logs       (attempt 2, after a transient error)
+//
+// EXPORT:
+// - Finished spans are buffered and sent in batches (never on the request path)
+// - "otlp": OTLP/HTTP JSON to a collector (Jaeger, Tempo, OpenTelemetry Collector)
+// - "file": same JSON, one export request per line (for testing without a collector)
+// - "none": IDs are still generated and stored, nothing is exported
+//
+// WHY HAND-ROLLED (not @opentelemetry/sdk-node):
+// - Same reason as metrics.js: built-in modules only
+// - Three span types and one wire format are all we need
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+
+// OTLP enums
+const SPAN_KIND = {
+    INTERNAL: 1,
+    SERVER: 2,
+    CLIENT: 3
+};
+
+const SPAN_STATUS = {
+    UNSET: 0,
+    OK: 1,
+    ERROR: 2
+};
+
+// ============================================
+// TRACE CONTEXT (https://www.w3.org/TR/trace-context/)
+// ============================================
+
+// "00-<32 hex trace-id>-<16 hex parent-id>-<2 hex flags>"
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Returns { version, traceId, parentId, flags } or null for a missing/invalid header
+// All-zero IDs and version "ff" are invalid per the spec
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim());
+    if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return null;
+    }
+    return { version: match[1], traceId: match[2], parentId: match[3], flags: match[4] };
+}
+
+function formatTraceparent(traceId, spanId, sampled) {
+    return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Wall-clock nanoseconds with sub-millisecond precision
+// OTLP/JSON encodes 64-bit integers as strings
+function nowUnixNano() {
+    const ms = performance.timeOrigin + performance.now();
+    return (BigInt(Math.floor(ms)) * 1000000n + BigInt(Math.round((ms % 1) * 1e6))).toString();
+}
+
+// { key: value } → OTLP attribute list
+function toOtlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => {
+            if (typeof value === 'number') {
+                return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+            }
+            if (typeof value === 'boolean') {
+                return { key, value: { boolValue: value } };
+            }
+            return { key, value: { stringValue: String(value) } };
+        });
+}
+
+// ============================================
+// SPAN
+// ============================================
+
+class Span {
+    constructor(tracer, name, { traceId, parentSpanId, kind, attributes, sampled }) {
+        this.tracer = tracer;
+        this.name = name;
+        this.traceId = traceId;
+        this.spanId = randomHex(8);
+        this.parentSpanId = parentSpanId || null;
+        this.kind = kind;
+        this.sampled = sampled;
+        this.attributes = { ...attributes };
+        this.events = [];
+        this.status = { code: SPAN_STATUS.UNSET };
+        this.startTimeUnixNano = nowUnixNano();
+        this.endTimeUnixNano = null;
+    }
+
+    // Header value for calls made inside this span
+    get traceparent() {
+        return formatTraceparent(this.traceId, this.spanId, this.sampled);
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    setStatus(code, message) {
+        this.status = message ? { code, message } : { code };
+        return this;
+    }
+
+    // Follows the OpenTelemetry "exception" event convention
+    recordException(error) {
+        this.events.push({
+            name: 'exception',
+            timeUnixNano: nowUnixNano(),
+            attributes: {
+                'exception.type': error.code || error.name,
+                'exception.message': error.message
+            }
+        });
+        return this;
+    }
+
+    end() {
+        if (this.endTimeUnixNano) {
+            return;
+        }
+        this.endTimeUnixNano = nowUnixNano();
+        this.tracer.onSpanEnd(this);
+    }
+
+    toOtlp() {
+        return {
+            traceId: this.traceId,
+            spanId: this.spanId,
+            ...(this.parentSpanId && { parentSpanId: this.parentSpanId }),
+            name: this.name,
+            kind: this.kind,
+            startTimeUnixNano: this.startTimeUnixNano,
+            endTimeUnixNano: this.endTimeUnixNano,
+            attributes: toOtlpAttributes(this.attributes),
+            events: this.events.map(event => ({ ...event, attributes: toOtlpAttributes(event.attributes) })),
+            status: this.status
+        };
+    }
+}
+
+// ============================================
+// EXPORTERS
+// ============================================
+// Each exporter has export(body) → Promise, body = OTLP ExportTraceServiceRequest
+// ============================================
+
+class OtlpHttpExporter {
+    // endpoint: full URL, e.g. http://collector:4318/v1/traces
+    constructor({ endpoint, headers = {}, timeoutMs = 5000 }) {
+        this.url = new URL(endpoint);
+        this.headers = headers;
+        this.timeoutMs = timeoutMs;
+    }
+
+    export(body) {
+        const payload = JSON.stringify(body);
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, {
+                method: 'POST',
+                headers: {
+                    ...this.headers,
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload)
+                },
+                timeout: this.timeoutMs
+            }, (res) => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error(`Collector responded with HTTP ${res.statusCode}`));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`Collector did not respond within ${this.timeoutMs}ms`)));
+            req.on('error', reject);
+            req.end(payload);
+        });
+    }
+}
+
+class FileExporter {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.ready = fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    }
+
+    async export(body) {
+        await this.ready;
+        await fs.promises.appendFile(this.filePath, `${JSON.stringify(body)}\n`, 'utf8');
+    }
+}
+
+// type: "otlp" | "file" | "none"
+// headers: extra HTTP headers for otlp (parsed from OTEL_EXPORTER_OTLP_HEADERS by config.js)
+function createExporter({ type, endpoint, headers = {}, filePath }) {
+    if (type === 'otlp') {
+        return new OtlpHttpExporter({ endpoint, headers });
+    }
+    if (type === 'file') {
+        return new FileExporter({ filePath });
+    }
+    return null;
+}
+
+// ============================================
+// TRACER
+// ============================================
+//
+// BATCHING (like batch-writer.js, for spans):
+// - Finished spans collect in memory
+// - Sent every flushIntervalMs, or as soon as maxBatchSpans are waiting
+// - At most maxQueueSpans are kept; beyond that new spans are dropped
+//   (a dead collector must not grow memory without bound)
+// ============================================
+
+class Tracer {
+    constructor({
+        serviceName,
+        resourceAttributes = {},
+        exporter = null,
+        flushIntervalMs = 5000,
+        maxBatchSpans = 512,
+        maxQueueSpans = 4096,
+        logger = console
+    }) {
+        this.resource = {
+            attributes: toOtlpAttributes({ 'service.name': serviceName, ...resourceAttributes })
+        };
+        this.exporter = exporter;
+        this.flushIntervalMs = flushIntervalMs;
+        this.maxBatchSpans = maxBatchSpans;
+        this.maxQueueSpans = maxQueueSpans;
+        this.logger = logger;
+
+        this.queue = [];
+        this.timer = null;
+        this.flushing = null;
+        this.exportFailing = false;  // Log the first failure of a streak only
+        this.droppedSpans = 0;
+        this.exportedSpans = 0;
+    }
+
+    // parent: a Span, or a parsed traceparent ({ traceId, parentId, flags }), or nothing (new trace)
+    startSpan(name, { parent = null, kind = SPAN_KIND.INTERNAL, attributes = {} } = {}) {
+        let traceId;
+        let parentSpanId;
+        let sampled;
+
+        if (parent instanceof Span) {
+            traceId = parent.traceId;
+            parentSpanId = parent.spanId;
+            sampled = parent.sampled;
+        } else if (parent) {
+            traceId = parent.traceId;
+            parentSpanId = parent.parentId;
+            // Respect the caller's sampling decision (flag bit 0)
+            sampled = (parseInt(parent.flags, 16) & 1) === 1;
+        } else {
+            traceId = randomHex(16);
+            parentSpanId = null;
+            sampled = true;
+        }
+
+        return new Span(this, name, { traceId, parentSpanId, kind, attributes, sampled });
+    }
+
+    // Run fn(span) inside a new span: errors are recorded on the span and rethrown
+    async withSpan(name, options, fn) {
+        const span = this.startSpan(name, options);
+        try {
+            return await fn(span);
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus(SPAN_STATUS.ERROR, error.message);
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    onSpanEnd(span) {
+        if (!this.exporter || !span.sampled) {
+            return;
+        }
+        if (this.queue.length >= this.maxQueueSpans) {
+            this.droppedSpans++;
+            return;
+        }
+        this.queue.push(span.toOtlp());
+        if (this.queue.length >= this.maxBatchSpans) {
+            this.flush();
+        }
+    }
+
+    start() {
+        if (!this.exporter) {
+            return;
+        }
+        this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+        this.timer.unref();
+    }
+
+    // One export at a time; concurrent callers share the running one
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.exportAll().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async exportAll() {
+        while (this.queue.length > 0) {
+            const spans = this.queue.splice(0, this.maxBatchSpans);
+            try {
+                await this.exporter.export({
+                    resourceSpans: [{
+                        resource: this.resource,
+                        scopeSpans: [{ scope: { name: 'cloudtrace' }, spans }]
+                    }]
+                });
+                this.exportedSpans += spans.length;
+                if (this.exportFailing) {
+                    this.exportFailing = false;
+                    this.logger.info('Trace export recovered');
+                }
+            } catch (error) {
+                // Spans are diagnostics, not data: drop the batch instead of retrying forever
+                this.droppedSpans += spans.length;
+                if (!this.exportFailing) {
+                    this.exportFailing = true;
+                    this.logger.warn('Trace export failed, dropping spans until it recovers', {
+                        dropped: spans.length,
+                        error: error.message
+                    });
+                }
+                return;
+            }
+        }
+    }
+
+    // Shutdown: stop the timer and send what is still buffered
+    async shutdown() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.flushing) {
+            await this.flushing;
+        }
+        if (this.exporter) {
+            await this.flush();
+        }
+    }
+}
+
+module.exports = {
+    Tracer,
+    Span,
+    SPAN_KIND,
+    SPAN_STATUS,
+    createExporter,
+    parseTraceparent,
+    formatTraceparent
+};
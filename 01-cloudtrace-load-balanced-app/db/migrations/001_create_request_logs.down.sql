@@ -0,0 +1,2 @@
+-- Drops ALL request history - only for rebuilding a development database
+DROP TABLE IF EXISTS request_logs;
@@ -1,22 +1,5 @@
 -- ============================================
--- CloudTrace Database Schema (PostgreSQL)
--- ============================================
--- 
--- PURPOSE: Store request logs from all EC2 instances
--- 
--- WHY THIS DESIGN:
--- - Single source of truth for all requests
--- - Allows any EC2 instance to read/write
--- - Enables tracking which server handled each request
--- - Simple schema for learning purposes
--- ============================================
-
--- Create database (run this manually on PostgreSQL server)
--- CREATE DATABASE cloudtrace;
--- \c cloudtrace;
-
--- ============================================
--- REQUEST_LOGS Table
+-- 001: REQUEST_LOGS Table
 -- ============================================
 -- 
 -- This table stores every request that comes through the system.
@@ -28,11 +11,8 @@
 -- 3. timestamp: When the request was processed
 -- 4. client_ip: Where the request came from (useful for debugging)
 --
--- WHY THESE FIELDS:
--- - request_id: Track individual requests across the system
--- - server_hostname: Prove load balancing is working (different servers)
--- - timestamp: See request timing and distribution
--- - client_ip: Debugging and potential analytics
+-- IF NOT EXISTS everywhere: databases bootstrapped from the old
+-- db/schema.sql already have these objects and must migrate cleanly
 -- ============================================
 
 CREATE TABLE IF NOT EXISTS request_logs (
@@ -65,20 +45,3 @@ CREATE INDEX IF NOT EXISTS idx_timestamp ON request_logs (timestamp DESC);
 -- Index on server_hostname to see requests per server
 -- WHY: Dashboard might show "how many requests did each server handle?"
 CREATE INDEX IF NOT EXISTS idx_server_hostname ON request_logs (server_hostname);
-
--- ============================================
--- EXAMPLE QUERIES (for reference)
--- ============================================
--- 
--- Get last 100 requests:
--- SELECT * FROM request_logs ORDER BY timestamp DESC LIMIT 100;
---
--- Count requests per server:
--- SELECT server_hostname, COUNT(*) as request_count 
--- FROM request_logs 
--- GROUP BY server_hostname;
---
--- Get requests in last hour:
--- SELECT * FROM request_logs 
--- WHERE timestamp >= NOW() - INTERVAL '1 hour'
--- ORDER BY timestamp DESC;
@@ -0,0 +1,3 @@
+ALTER TABLE request_logs DROP COLUMN IF EXISTS handler_ms;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS db_retries;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS db_write_ms;
@@ -0,0 +1,14 @@
+-- ============================================
+-- 002: Latency breakdown columns
+-- ============================================
+-- 
+-- Measured by the backend (NULL until recorded)
+-- WHY: See where time goes - database write vs. the rest of the handler
+-- db_write_ms: pool wait + all attempts + retry backoff
+-- db_retries: extra attempts after the first (0 = first try succeeded)
+-- handler_ms: total time in the request handler
+-- ============================================
+
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS db_write_ms REAL;
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS db_retries SMALLINT;
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS handler_ms REAL;
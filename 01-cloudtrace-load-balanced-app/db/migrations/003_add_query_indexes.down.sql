@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_client_ip;
+DROP INDEX IF EXISTS idx_timestamp_id;
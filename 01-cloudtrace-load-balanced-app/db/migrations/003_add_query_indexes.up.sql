@@ -0,0 +1,11 @@
+-- ============================================
+-- 003: Indexes for GET /api/requests
+-- ============================================
+
+-- Composite index for keyset pagination
+-- WHY: Pages are read with "WHERE (timestamp, id) < ($1, $2) ORDER BY timestamp DESC, id DESC"
+-- id breaks ties when two requests share the same timestamp
+CREATE INDEX IF NOT EXISTS idx_timestamp_id ON request_logs (timestamp DESC, id DESC);
+
+-- Index on client_ip for the client_ip filter
+CREATE INDEX IF NOT EXISTS idx_client_ip ON request_logs (client_ip);
@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS trg_request_logs_notify ON request_logs;
+DROP FUNCTION IF EXISTS notify_request_log_insert();
@@ -0,0 +1,24 @@
+-- ============================================
+-- 004: Live stream notifications
+-- ============================================
+-- 
+-- Every INSERT publishes the new row on the "request_logs_insert" channel.
+-- Each backend instance LISTENs on it and pushes rows to dashboards (GET /api/stream).
+--
+-- WHY A TRIGGER:
+-- - Fires for inserts from EVERY instance, not just the one holding the stream
+-- - row_to_json(NEW) picks up new columns automatically
+-- - pg_notify is transactional: only committed rows are announced
+-- ============================================
+
+CREATE OR REPLACE FUNCTION notify_request_log_insert() RETURNS trigger AS $$
+BEGIN
+    PERFORM pg_notify('request_logs_insert', row_to_json(NEW)::text);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_request_logs_notify ON request_logs;
+CREATE TRIGGER trg_request_logs_notify
+    AFTER INSERT ON request_logs
+    FOR EACH ROW EXECUTE FUNCTION notify_request_log_insert();
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_trace_id;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS trace_id;
@@ -0,0 +1,13 @@
+-- ============================================
+-- 005: Trace ID (W3C Trace Context)
+-- ============================================
+-- 
+-- 32 hex chars, shared by every span of the request in the tracing backend
+-- WHY: Jump from a request_logs row to its trace (Jaeger, Tempo, ...)
+-- NULL for rows written before tracing existed
+-- ============================================
+
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS trace_id CHAR(32);
+
+-- GET /api/requests?trace_id=...
+CREATE INDEX IF NOT EXISTS idx_trace_id ON request_logs (trace_id);
@@ -0,0 +1,12 @@
+-- ============================================
+-- 006: Forwarded-for chain
+-- ============================================
+-- 
+-- Every hop from the Forwarded / X-Forwarded-For header plus the TCP peer,
+-- client side first, e.g. "198.51.100.7, 10.0.1.25"
+-- WHY: client_ip holds only the resolved client (see backend/client-ip.js);
+-- the chain shows how the request got here, including spoofed entries
+-- NULL for direct connections and rows written before this column existed
+-- ============================================
+
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS forwarded_for TEXT;
@@ -0,0 +1,19 @@
+-- ============================================
+-- 007: Shared rate-limit buckets
+-- ============================================
+-- 
+-- One token bucket per client IP, used when RATE_LIMIT_STORE=postgres
+-- (see backend/rate-limit.js) so the limit holds across every instance
+--
+-- UNLOGGED: no WAL → cheap writes on every request; the table is emptied
+-- after a crash, which only resets the buckets (all clients start full)
+-- ============================================
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_buckets (
+    key TEXT PRIMARY KEY,
+    tokens DOUBLE PRECISION NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+-- Periodic cleanup of idle buckets
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated_at ON rate_limit_buckets (updated_at);
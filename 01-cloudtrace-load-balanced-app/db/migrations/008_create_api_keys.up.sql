@@ -0,0 +1,22 @@
+-- ============================================
+-- 008: API keys
+-- ============================================
+-- 
+-- Bearer tokens for AUTH_ENABLED=true (see backend/auth.js)
+-- - key_id: public part of the key (ct_<key_id>_<secret>), used for lookup
+-- - key_hash: SHA-256 of the whole key - the key itself is never stored
+-- - scopes: logs:write, logs:read, admin
+-- - revoked_at: set by "npm run api-keys -- revoke"; rows are kept for auditing
+-- Managed with backend/api-keys.js
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    key_id VARCHAR(16) NOT NULL UNIQUE,
+    key_hash CHAR(64) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    scopes TEXT[] NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ
+);
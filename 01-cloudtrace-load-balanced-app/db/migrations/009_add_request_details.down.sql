@@ -0,0 +1,13 @@
+-- Back to announcing the whole row (004)
+CREATE OR REPLACE FUNCTION notify_request_log_insert() RETURNS trigger AS $$
+BEGIN
+    PERFORM pg_notify('request_logs_insert', row_to_json(NEW)::text);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_payload;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS payload;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS user_agent;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS path;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS method;
@@ -0,0 +1,31 @@
+-- ============================================
+-- 009: Request details and client payload
+-- ============================================
+-- 
+-- method, path, user_agent: what the client called, and with what
+-- payload: validated POST body { label, tags, metadata } (see backend/request-payload.js)
+-- NULL for GET requests without a body and rows written before this migration
+-- ============================================
+
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS method VARCHAR(10);
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS path VARCHAR(2048);
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS user_agent VARCHAR(512);
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS payload JSONB;
+
+-- GET /api/requests?label=...&tag=... → payload @> '{"label": ..., "tags": [...]}'
+-- jsonb_path_ops: smaller and faster than the default opclass, supports @> only
+CREATE INDEX IF NOT EXISTS idx_payload ON request_logs USING GIN (payload jsonb_path_ops);
+
+-- NOTIFY payloads are limited to 8000 bytes: a large metadata object would
+-- make pg_notify (and with it the INSERT) fail. Announce the row without
+-- payload and user_agent; the live stream only needs the label.
+CREATE OR REPLACE FUNCTION notify_request_log_insert() RETURNS trigger AS $$
+BEGIN
+    PERFORM pg_notify(
+        'request_logs_insert',
+        ((to_jsonb(NEW) - 'payload' - 'user_agent')
+            || jsonb_build_object('label', NEW.payload->>'label'))::text
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
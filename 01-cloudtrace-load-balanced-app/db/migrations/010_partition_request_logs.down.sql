@@ -0,0 +1,52 @@
+-- Back to one plain table (fails if a request_id now appears at two timestamps)
+DO $$
+BEGIN
+    IF (SELECT relkind FROM pg_class WHERE oid = 'request_logs'::regclass) <> 'p' THEN
+        RETURN;
+    END IF;
+
+    ALTER TABLE request_logs RENAME TO request_logs_partitioned;
+    ALTER TABLE request_logs_partitioned RENAME CONSTRAINT request_logs_pkey TO request_logs_partitioned_pkey;
+    ALTER SEQUENCE request_logs_id_seq OWNED BY NONE;
+    DROP TRIGGER IF EXISTS trg_request_logs_notify ON request_logs_partitioned;
+    DROP INDEX IF EXISTS idx_timestamp, idx_server_hostname, idx_timestamp_id,
+        idx_client_ip, idx_trace_id, idx_payload;
+
+    CREATE TABLE request_logs (
+        id BIGINT PRIMARY KEY DEFAULT nextval('request_logs_id_seq'),
+        request_id VARCHAR(36) NOT NULL UNIQUE,
+        server_hostname VARCHAR(255) NOT NULL,
+        timestamp TIMESTAMP NOT NULL,
+        client_ip VARCHAR(45) NOT NULL,
+        db_write_ms REAL,
+        db_retries SMALLINT,
+        handler_ms REAL,
+        trace_id CHAR(32),
+        forwarded_for TEXT,
+        method VARCHAR(10),
+        path VARCHAR(2048),
+        user_agent VARCHAR(512),
+        payload JSONB
+    );
+
+    INSERT INTO request_logs (id, request_id, server_hostname, timestamp, client_ip, db_write_ms, db_retries,
+                              handler_ms, trace_id, forwarded_for, method, path, user_agent, payload)
+    SELECT id, request_id, server_hostname, timestamp, client_ip, db_write_ms, db_retries,
+           handler_ms, trace_id, forwarded_for, method, path, user_agent, payload
+    FROM request_logs_partitioned;
+
+    DROP TABLE request_logs_partitioned;
+    ALTER SEQUENCE request_logs_id_seq OWNED BY request_logs.id;
+
+    CREATE INDEX idx_timestamp ON request_logs (timestamp DESC);
+    CREATE INDEX idx_server_hostname ON request_logs (server_hostname);
+    CREATE INDEX idx_timestamp_id ON request_logs (timestamp DESC, id DESC);
+    CREATE INDEX idx_client_ip ON request_logs (client_ip);
+    CREATE INDEX idx_trace_id ON request_logs (trace_id);
+    CREATE INDEX idx_payload ON request_logs USING GIN (payload jsonb_path_ops);
+
+    CREATE TRIGGER trg_request_logs_notify
+        AFTER INSERT ON request_logs
+        FOR EACH ROW EXECUTE FUNCTION notify_request_log_insert();
+END;
+$$;
@@ -0,0 +1,99 @@
+-- ============================================
+-- 010: Partition request_logs by time
+-- ============================================
+-- 
+-- WHY PARTITIONS:
+-- - request_logs only ever grows
+-- - With one partition per month (or day), retention is DROP TABLE on an old
+--   partition: instant, no DELETE bloat, no VACUUM afterwards
+-- - Queries with a time range only touch the partitions they need
+--
+-- LAYOUT:
+-- - request_logs             partitioned parent (RANGE on timestamp)
+-- - request_logs_p202401     one partition per month (request_logs_p20240115 for days)
+-- - request_logs_default     catches rows outside every partition, never dropped
+-- Future partitions are created ahead by the maintenance task (backend/maintenance.js)
+--
+-- UNIQUENESS CHANGES:
+-- - Unique keys of a partitioned table must include the partition key
+-- - PRIMARY KEY (id) → (id, timestamp), UNIQUE (request_id) → (request_id, timestamp)
+-- - A request_id is still unique per instant; spool replays and batch retries
+--   carry the original timestamp, so they are still recognised as duplicates
+--
+-- MIGRATION: Existing rows are copied into monthly partitions inside this
+-- transaction (the table is locked while it runs). Already partitioned → no-op.
+-- ============================================
+
+DO $$
+DECLARE
+    month_start TIMESTAMP;
+    last_month TIMESTAMP;
+BEGIN
+    IF (SELECT relkind FROM pg_class WHERE oid = 'request_logs'::regclass) = 'p' THEN
+        RETURN;
+    END IF;
+
+    -- Move the old table aside; index and constraint names must be free for the new one
+    ALTER TABLE request_logs RENAME TO request_logs_unpartitioned;
+    ALTER TABLE request_logs_unpartitioned RENAME CONSTRAINT request_logs_pkey TO request_logs_unpartitioned_pkey;
+    ALTER SEQUENCE request_logs_id_seq OWNED BY NONE;
+    DROP TRIGGER IF EXISTS trg_request_logs_notify ON request_logs_unpartitioned;
+    DROP INDEX IF EXISTS idx_timestamp, idx_server_hostname, idx_timestamp_id,
+        idx_client_ip, idx_trace_id, idx_payload;
+
+    CREATE TABLE request_logs (
+        id BIGINT NOT NULL DEFAULT nextval('request_logs_id_seq'),
+        request_id VARCHAR(36) NOT NULL,
+        server_hostname VARCHAR(255) NOT NULL,
+        timestamp TIMESTAMP NOT NULL,
+        client_ip VARCHAR(45) NOT NULL,
+        db_write_ms REAL,
+        db_retries SMALLINT,
+        handler_ms REAL,
+        trace_id CHAR(32),
+        forwarded_for TEXT,
+        method VARCHAR(10),
+        path VARCHAR(2048),
+        user_agent VARCHAR(512),
+        payload JSONB,
+        PRIMARY KEY (id, timestamp),
+        UNIQUE (request_id, timestamp)
+    ) PARTITION BY RANGE (timestamp);
+
+    -- Monthly partitions for the existing rows, the current and the next month
+    month_start := date_trunc('month', COALESCE((SELECT min(timestamp) FROM request_logs_unpartitioned), LOCALTIMESTAMP));
+    last_month := date_trunc('month', LOCALTIMESTAMP) + INTERVAL '1 month';
+    WHILE month_start <= last_month LOOP
+        EXECUTE format(
+            'CREATE TABLE %I PARTITION OF request_logs FOR VALUES FROM (%L) TO (%L)',
+            'request_logs_p' || to_char(month_start, 'YYYYMM'),
+            month_start,
+            month_start + INTERVAL '1 month'
+        );
+        month_start := month_start + INTERVAL '1 month';
+    END LOOP;
+    CREATE TABLE request_logs_default PARTITION OF request_logs DEFAULT;
+
+    INSERT INTO request_logs (id, request_id, server_hostname, timestamp, client_ip, db_write_ms, db_retries,
+                              handler_ms, trace_id, forwarded_for, method, path, user_agent, payload)
+    SELECT id, request_id, server_hostname, timestamp, client_ip, db_write_ms, db_retries,
+           handler_ms, trace_id, forwarded_for, method, path, user_agent, payload
+    FROM request_logs_unpartitioned;
+
+    DROP TABLE request_logs_unpartitioned;
+    ALTER SEQUENCE request_logs_id_seq OWNED BY request_logs.id;
+
+    -- Indexes on the parent are created on every partition (present and future)
+    CREATE INDEX idx_timestamp ON request_logs (timestamp DESC);
+    CREATE INDEX idx_server_hostname ON request_logs (server_hostname);
+    CREATE INDEX idx_timestamp_id ON request_logs (timestamp DESC, id DESC);
+    CREATE INDEX idx_client_ip ON request_logs (client_ip);
+    CREATE INDEX idx_trace_id ON request_logs (trace_id);
+    CREATE INDEX idx_payload ON request_logs USING GIN (payload jsonb_path_ops);
+
+    -- Live stream: row triggers on the parent fire for every partition
+    CREATE TRIGGER trg_request_logs_notify
+        AFTER INSERT ON request_logs
+        FOR EACH ROW EXECUTE FUNCTION notify_request_log_insert();
+END;
+$$;
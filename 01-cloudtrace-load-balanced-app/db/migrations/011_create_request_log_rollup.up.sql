@@ -0,0 +1,26 @@
+-- ============================================
+-- 011: Hourly rollup and maintenance bookkeeping
+-- ============================================
+-- 
+-- request_log_hourly: requests per server per hour
+-- - Filled by the maintenance task (backend/maintenance.js) from request_logs
+-- - NOT partitioned and never pruned: the long-term history survives the
+--   retention policy that drops old request_logs partitions
+--
+-- maintenance_runs: when each maintenance task last ran (any instance)
+-- - Lets an instance skip a run another instance has just done
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS request_log_hourly (
+    hour TIMESTAMP NOT NULL,
+    server_hostname VARCHAR(255) NOT NULL,
+    request_count BIGINT NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (hour, server_hostname)
+);
+
+CREATE TABLE IF NOT EXISTS maintenance_runs (
+    task VARCHAR(64) PRIMARY KEY,
+    last_run_at TIMESTAMPTZ NOT NULL,
+    last_result JSONB
+);
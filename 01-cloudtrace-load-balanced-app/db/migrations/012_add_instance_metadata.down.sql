@@ -0,0 +1,5 @@
+ALTER TABLE request_logs DROP COLUMN IF EXISTS git_sha;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS app_version;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS instance_type;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS availability_zone;
+ALTER TABLE request_logs DROP COLUMN IF EXISTS instance_id;
@@ -0,0 +1,20 @@
+-- ============================================
+-- 012: Instance identity
+-- ============================================
+-- 
+-- Which EC2 instance, availability zone and deployment served the request
+-- (see backend/instance-metadata.js)
+-- - instance_id, availability_zone, instance_type: from the EC2 instance
+--   metadata service; NULL off AWS or with INSTANCE_METADATA_ENABLED=false
+-- - app_version, git_sha: the deployed build
+-- NULL for rows written before this migration
+--
+-- Added on the partitioned parent: every partition gets the columns too.
+-- The live stream trigger (009) announces them without changes.
+-- ============================================
+
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS instance_id VARCHAR(32);
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS availability_zone VARCHAR(32);
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS instance_type VARCHAR(32);
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS app_version VARCHAR(64);
+ALTER TABLE request_logs ADD COLUMN IF NOT EXISTS git_sha VARCHAR(40);
@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS trg_request_logs_claim_request_id ON request_logs;
+DROP FUNCTION IF EXISTS claim_request_id();
+DROP TABLE IF EXISTS request_ids;
@@ -0,0 +1,58 @@
+-- ============================================
+-- 013: One request_id per request log again
+-- ============================================
+-- 
+-- WHY: Unique keys of a partitioned table must include the partition key, so
+-- since 010 request_logs only has UNIQUE (request_id, timestamp). A client
+-- reusing a propagated X-Request-Id a moment later got a second row (the
+-- server's collision retry never ran), and GET /api/requests/:requestId
+-- showed only the newest of the two
+--
+-- HOW: request_ids (NOT partitioned) holds each request_id once
+-- - A BEFORE INSERT trigger on request_logs claims the request_id first
+-- - Already claimed → unique_violation (23505), as with UNIQUE (request_id)
+--   before 010: the sync write path retries with a new UUID
+-- - Writers that insert many rows at once (batch mode, spool replay) run
+--   SET LOCAL cloudtrace.skip_duplicate_request_ids = 'on': the row is
+--   skipped instead, and RETURNING shows which rows were written
+-- - Retention (backend/maintenance.js) deletes the claims of dropped rows
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS request_ids (
+    request_id VARCHAR(36) PRIMARY KEY,
+    timestamp TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_ids_timestamp ON request_ids (timestamp);
+
+-- Rows stored twice since 010 keep the newest claim (the one the API shows)
+INSERT INTO request_ids (request_id, timestamp)
+SELECT request_id, MAX(timestamp)
+FROM request_logs
+GROUP BY request_id
+ON CONFLICT (request_id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION claim_request_id() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO request_ids (request_id, timestamp)
+    VALUES (NEW.request_id, NEW.timestamp)
+    ON CONFLICT (request_id) DO NOTHING;
+    IF FOUND THEN
+        RETURN NEW;
+    END IF;
+
+    IF current_setting('cloudtrace.skip_duplicate_request_ids', true) = 'on' THEN
+        RETURN NULL;
+    END IF;
+    RAISE EXCEPTION 'duplicate key value violates unique constraint "request_ids_pkey"'
+        USING ERRCODE = 'unique_violation',
+              DETAIL = format('Key (request_id)=(%s) already exists.', NEW.request_id);
+END;
+$$ LANGUAGE plpgsql;
+
+-- BEFORE row triggers on the partitioned parent fire for every partition
+-- (PostgreSQL 13+)
+DROP TRIGGER IF EXISTS trg_request_logs_claim_request_id ON request_logs;
+CREATE TRIGGER trg_request_logs_claim_request_id
+    BEFORE INSERT ON request_logs
+    FOR EACH ROW EXECUTE FUNCTION claim_request_id();
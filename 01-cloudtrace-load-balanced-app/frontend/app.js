@@ -19,6 +19,7 @@
 // - Data that changes over time
 // - Requests array: All requests we've received
 // - Servers map: Count of requests per server
+// - Zones map: Count of requests per availability zone (instance metadata)
 //
 // WHY WE NEED THIS:
 // - Track all requests for display
@@ -28,6 +29,11 @@
 
 let requests = []; // Array of all requests
 let servers = new Map(); // Map of server hostname -> request count
+let zones = new Map(); // Map of availability zone -> request count
+let lastStats = null; // Last /api/stats response (re-grouped without refetching)
+let seenRequestIds = new Set(); // request_ids already shown (live stream dedupe)
+let liveStream = null; // EventSource while the live stream is on
+let loadRun = null; // State of the running load test (null when idle)
 
 // ============================================
 // DOM ELEMENTS (Get references to HTML elements)
@@ -40,11 +46,52 @@ let servers = new Map(); // Map of server hostname -> request count
 
 const sendRequestBtn = document.getElementById('sendRequestBtn');
 const clearLogsBtn = document.getElementById('clearLogsBtn');
+const liveStreamBtn = document.getElementById('liveStreamBtn');
+const liveStatusDiv = document.getElementById('liveStatus');
 const backendUrlInput = document.getElementById('backendUrl');
+const apiKeyInput = document.getElementById('apiKey');
 const requestLogsContainer = document.getElementById('requestLogs');
 const serverDistributionContainer = document.getElementById('serverDistribution');
+const distributionGroupSelect = document.getElementById('distributionGroup');
+const latencyChartContainer = document.getElementById('latencyChart');
 const totalRequestsSpan = document.getElementById('totalRequests');
 const uniqueServersSpan = document.getElementById('uniqueServers');
+const loadStartBtn = document.getElementById('loadStartBtn');
+const loadCancelBtn = document.getElementById('loadCancelBtn');
+const loadTotalInput = document.getElementById('loadTotal');
+const loadConcurrencyInput = document.getElementById('loadConcurrency');
+const loadRateInput = document.getElementById('loadRate');
+const loadDurationInput = document.getElementById('loadDuration');
+const loadProgressBar = document.getElementById('loadProgressBar');
+const loadProgressText = document.getElementById('loadProgressText');
+const loadSummaryContainer = document.getElementById('loadSummary');
+const loadStatsBtn = document.getElementById('loadStatsBtn');
+const statsBucketSelect = document.getElementById('statsBucket');
+const statsGroupSelect = document.getElementById('statsGroup');
+const historicalDistributionContainer = document.getElementById('historicalDistribution');
+const statsTotalSpan = document.getElementById('statsTotal');
+const statsBalanceSpan = document.getElementById('statsBalance');
+
+// ============================================
+// TRACE CONTEXT (W3C traceparent)
+// ============================================
+// 
+// WHAT: "00-<trace-id>-<span-id>-01" header on every request
+// - trace-id (32 hex): the whole journey browser → ALB → EC2 → PostgreSQL
+// - span-id (16 hex): this browser-side call, parent of the backend's span
+// - 01: sampled - the backend exports its spans for this trace
+//
+// The backend stores the trace-id with the request log and returns it as trace_id
+// ============================================
+
+function randomHex(bytes) {
+    const values = crypto.getRandomValues(new Uint8Array(bytes));
+    return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+function createTraceparent() {
+    return `00-${randomHex(16)}-${randomHex(8)}-01`;
+}
 
 // ============================================
 // SEND REQUEST FUNCTION
@@ -94,10 +141,13 @@ async function sendRequest() {
         // ============================================
         
         console.log('📤 Sending request to:', backendUrl);
+        const sentAt = performance.now(); // Start of client round-trip time
         const response = await fetch(backendUrl, {
             method: 'GET', // or 'POST'
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'traceparent': createTraceparent(),  // Start a new trace for this click
+                ...authHeaders()
             }
         });
         
@@ -108,6 +158,7 @@ async function sendRequest() {
         // HTTP STATUS CODES:
         // - 200: Success
         // - 400: Bad Request
+        // - 429: Rate limited (see Retry-After)
         // - 500: Server Error
         // - etc.
         //
@@ -117,7 +168,7 @@ async function sendRequest() {
         // ============================================
         
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw new Error(httpErrorMessage(response));
         }
         
         // ============================================
@@ -131,6 +182,7 @@ async function sendRequest() {
         // ============================================
         
         const data = await response.json();
+        data.client_rtt_ms = roundMs(performance.now() - sentAt);
         console.log('✅ Response received:', data);
         
         // ============================================
@@ -162,17 +214,7 @@ async function sendRequest() {
         console.error('❌ Request failed:', error);
         
         // Show error in UI
-        const errorData = {
-            request_id: `error-${Date.now()}`,
-            server_hostname: 'Error',
-            timestamp: new Date().toISOString(),
-            client_ip: 'N/A',
-            db_status: 'failed',
-            db_error: error.message,
-            isError: true
-        };
-        
-        addRequest(errorData);
+        addRequest(createErrorEntry(error.message));
         
         alert(`Request failed: ${error.message}\n\nCheck:\n1. Backend URL is correct\n2. Backend server is running\n3. CORS is configured`);
     } finally {
@@ -191,6 +233,62 @@ async function sendRequest() {
     }
 }
 
+// ============================================
+// API KEY
+// ============================================
+// 
+// WHY: A backend with AUTH_ENABLED=true rejects requests without a key (401)
+// - Sent as "Authorization: Bearer <key>"; nothing is sent when the field is empty
+// ============================================
+
+function authHeaders() {
+    const apiKey = apiKeyInput.value.trim();
+    return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+}
+
+// ============================================
+// HTTP ERROR MESSAGE
+// ============================================
+// 
+// WHY: A 429 (rate limited) tells the user when to try again,
+// a 401/403 that the API key is missing or lacks a scope
+// - Retry-After is readable because the backend exposes it (CORS)
+// ============================================
+
+function httpErrorMessage(response) {
+    if (response.status === 401) {
+        return 'Unauthorized (401) - check the API key';
+    }
+    if (response.status === 403) {
+        return 'Forbidden (403) - the API key lacks the required scope';
+    }
+    if (response.status === 429) {
+        const retryAfter = response.headers.get('Retry-After');
+        return `Rate limited (429)${retryAfter ? ` - retry in ${retryAfter}s` : ''}`;
+    }
+    return `HTTP error! status: ${response.status}`;
+}
+
+// ============================================
+// ERROR ENTRY
+// ============================================
+// 
+// WHY: Failed requests still show up in the log (red card)
+// - Used by single requests and the load generator
+// ============================================
+
+function createErrorEntry(message) {
+    return {
+        request_id: `error-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        server_hostname: 'Error',
+        timestamp: new Date().toISOString(),
+        client_ip: 'N/A',
+        db_status: 'failed',
+        db_error: message,
+        isError: true
+    };
+}
+
 // ============================================
 // ADD REQUEST TO STATE AND UI
 // ============================================
@@ -199,9 +297,33 @@ async function sendRequest() {
 // 1. Add request to requests array
 // 2. Update server count
 // 3. Update UI (logs, distribution, stats)
+//
+// options.render = false skips step 3
+// - The load generator adds hundreds of requests per second
+// - Re-rendering every card each time would freeze the page
+// - It calls renderAll() on a timer instead
 // ============================================
 
-function addRequest(requestData) {
+function addRequest(requestData, options = {}) {
+    // The live stream also delivers requests this browser sent - show each once
+    // - NOTIFY fires at COMMIT, before the backend writes the HTTP response,
+    //   so the stream event usually arrives FIRST
+    // - The response has more (client RTT, timing, payload): it replaces the
+    //   stream version of the card; a late stream event is dropped
+    if (seenRequestIds.has(requestData.request_id)) {
+        if (requestData.source !== 'stream') {
+            const index = requests.findIndex(request => request.request_id === requestData.request_id);
+            if (index !== -1) {
+                requests[index] = { ...requests[index], ...requestData, source: undefined };
+            }
+            if (options.render !== false) {
+                renderAll();
+            }
+        }
+        return;
+    }
+    seenRequestIds.add(requestData.request_id);
+    
     // Add to requests array (newest first)
     requests.unshift(requestData);
     
@@ -209,11 +331,21 @@ function addRequest(requestData) {
     const hostname = requestData.server_hostname;
     if (hostname && hostname !== 'Error') {
         servers.set(hostname, (servers.get(hostname) || 0) + 1);
+        // null off AWS or with INSTANCE_METADATA_ENABLED=false
+        const zone = requestData.instance?.availability_zone || 'unknown';
+        zones.set(zone, (zones.get(zone) || 0) + 1);
     }
     
     // Update UI
+    if (options.render !== false) {
+        renderAll();
+    }
+}
+
+function renderAll() {
     updateRequestLogs();
     updateServerDistribution();
+    updateLatencyChart();
     updateStats();
 }
 
@@ -250,7 +382,11 @@ function updateRequestLogs() {
     // Create HTML for each request
     requests.forEach(request => {
         const requestItem = document.createElement('div');
-        requestItem.className = `request-item ${request.isError ? 'error' : (request.db_status === 'success' ? 'success' : 'error')}`;
+        // spooled = backend kept the log locally and will write it once the DB is back
+        // queued  = backend runs in batch mode, the log is written with the next batch
+        const statusClass = request.isError ? 'error'
+            : (['success', 'spooled', 'queued'].includes(request.db_status) ? request.db_status : 'error');
+        requestItem.className = `request-item ${statusClass}`;
         
         // Format timestamp
         const timestamp = new Date(request.timestamp);
@@ -259,7 +395,7 @@ function updateRequestLogs() {
         // Build HTML
         requestItem.innerHTML = `
             <div class="request-header">
-                <span class="request-id">${request.request_id}</span>
+                <span class="request-id">${request.request_id}${request.source === 'stream' ? '<span class="live-badge">📡 live</span>' : ''}</span>
                 <span class="request-timestamp">${formattedTime}</span>
             </div>
             <div class="request-details">
@@ -277,6 +413,25 @@ function updateRequestLogs() {
                         <span class="db-status ${request.db_status}">${request.db_status}</span>
                     </div>
                 </div>
+                ${request.instance?.instance_id ? `
+                <div class="detail-item">
+                    <div class="detail-label">Instance</div>
+                    <div class="detail-value">${request.instance.instance_id} (${request.instance.availability_zone})</div>
+                </div>
+                ` : ''}
+                ${request.instance?.app_version ? `
+                <div class="detail-item">
+                    <div class="detail-label">Version</div>
+                    <div class="detail-value">${request.instance.app_version}${request.instance.git_sha ? ` @ ${request.instance.git_sha.slice(0, 7)}` : ''}</div>
+                </div>
+                ` : ''}
+                ${request.trace_id ? `
+                <div class="detail-item">
+                    <div class="detail-label">Trace ID</div>
+                    <div class="detail-value trace-id">${request.trace_id}</div>
+                </div>
+                ` : ''}
+                ${renderTimingDetails(request)}
                 ${request.db_error ? `
                 <div class="detail-item">
                     <div class="detail-label">Error</div>
@@ -290,6 +445,126 @@ function updateRequestLogs() {
     });
 }
 
+// ============================================
+// LATENCY BREAKDOWN
+// ============================================
+// 
+// WHERE THE TIME GOES (one request):
+// - Client RTT:  Browser → ALB → EC2 → back to browser (measured here)
+// - Handler:     Time inside the backend handler (from the response JSON)
+// - DB write:    Part of the handler spent writing to PostgreSQL
+// - Network:     RTT - handler = ALB hops, TLS, internet latency
+// ============================================
+
+function roundMs(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function formatMs(value) {
+    return value === null || value === undefined ? '-' : `${value.toFixed(1)} ms`;
+}
+
+function renderTimingDetails(request) {
+    if (request.client_rtt_ms === undefined && !request.timing) {
+        return '';
+    }
+    
+    const timing = request.timing || {};
+    const networkMs = request.client_rtt_ms !== undefined && timing.handler_ms !== undefined
+        ? Math.max(0, request.client_rtt_ms - timing.handler_ms)
+        : null;
+    
+    return `
+        <div class="detail-item">
+            <div class="detail-label">Client RTT</div>
+            <div class="detail-value">${formatMs(request.client_rtt_ms)}</div>
+        </div>
+        <div class="detail-item">
+            <div class="detail-label">Server Handler / Network</div>
+            <div class="detail-value">${formatMs(timing.handler_ms)} / ${formatMs(networkMs)}</div>
+        </div>
+        <div class="detail-item">
+            <div class="detail-label">DB Write (Retries)</div>
+            <div class="detail-value">${formatMs(timing.db_write_ms)} (${timing.db_retries ?? '-'})</div>
+        </div>
+    `;
+}
+
+// ============================================
+// UPDATE LATENCY CHART UI
+// ============================================
+// 
+// WHAT THIS DOES:
+// - Averages latency per server over requests sent from this browser
+// - Stacked bar: DB write | rest of handler | network
+// - A slow server (or slow path to it) stands out immediately
+// ============================================
+
+function updateLatencyChart() {
+    latencyChartContainer.innerHTML = '';
+    
+    // Group timed requests by server
+    const samplesByServer = new Map();
+    requests.forEach(request => {
+        if (request.isError || request.client_rtt_ms === undefined || !request.timing) {
+            return;
+        }
+        if (!samplesByServer.has(request.server_hostname)) {
+            samplesByServer.set(request.server_hostname, []);
+        }
+        samplesByServer.get(request.server_hostname).push(request);
+    });
+    
+    if (samplesByServer.size === 0) {
+        latencyChartContainer.innerHTML = `
+            <div class="empty-state">
+                <p>Send requests to see latency per server</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const rows = Array.from(samplesByServer.entries()).map(([hostname, samples]) => {
+        const rtts = samples.map(sample => sample.client_rtt_ms).sort((a, b) => a - b);
+        const rttMs = average(rtts);
+        const handlerMs = Math.min(rttMs, average(samples.map(sample => sample.timing.handler_ms)));
+        const dbMs = Math.min(handlerMs, average(samples.map(sample => sample.timing.db_write_ms)));
+        return {
+            hostname,
+            count: samples.length,
+            rttMs,
+            handlerMs,
+            dbMs,
+            p95Ms: percentile(rtts, 95)
+        };
+    });
+    
+    // Bars are scaled to the slowest server's average RTT
+    const maxRtt = Math.max(...rows.map(row => row.rttMs)) || 1;
+    
+    rows.sort((a, b) => b.rttMs - a.rttMs).forEach(row => {
+        const scale = value => (value / maxRtt) * 100;
+        
+        const latencyItem = document.createElement('div');
+        latencyItem.className = 'distribution-item';
+        latencyItem.innerHTML = `
+            <div class="distribution-server">${row.hostname}</div>
+            <div class="distribution-bar-container latency-bar-container" title="avg of ${row.count} request${row.count !== 1 ? 's' : ''}">
+                <div class="latency-segment db" style="width: ${scale(row.dbMs)}%"></div>
+                <div class="latency-segment handler" style="width: ${scale(row.handlerMs - row.dbMs)}%"></div>
+                <div class="latency-segment network" style="width: ${scale(row.rttMs - row.handlerMs)}%"></div>
+            </div>
+            <div class="latency-values">
+                avg ${formatMs(row.rttMs)}<br>
+                p95 ${formatMs(row.p95Ms)}
+            </div>
+        `;
+        
+        latencyChartContainer.appendChild(latencyItem);
+    });
+}
+
 // ============================================
 // UPDATE SERVER DISTRIBUTION UI
 // ============================================
@@ -298,14 +573,18 @@ function updateRequestLogs() {
 // - Shows how many requests each server handled
 // - Visual bar chart
 // - Proves load balancing is working
+// - "Group by zone" shows whether the ALB spreads across availability zones
+//   (cross-zone load balancing) - needs INSTANCE_METADATA_ENABLED on the backend
 // ============================================
 
 function updateServerDistribution() {
+    const counts = distributionGroupSelect.value === 'zone' ? zones : servers;
+    
     // Clear container
     serverDistributionContainer.innerHTML = '';
     
     // If no servers, show empty state
-    if (servers.size === 0) {
+    if (counts.size === 0) {
         serverDistributionContainer.innerHTML = `
             <div class="empty-state">
                 <p>Send requests to see distribution across servers</p>
@@ -315,20 +594,20 @@ function updateServerDistribution() {
     }
     
     // Get max count for percentage calculation
-    const maxCount = Math.max(...Array.from(servers.values()));
+    const maxCount = Math.max(...Array.from(counts.values()));
     
-    // Sort servers by count (descending)
-    const sortedServers = Array.from(servers.entries())
+    // Sort servers (or zones) by count (descending)
+    const sortedGroups = Array.from(counts.entries())
         .sort((a, b) => b[1] - a[1]);
     
-    // Create HTML for each server
-    sortedServers.forEach(([hostname, count]) => {
+    // Create HTML for each server (or zone)
+    sortedGroups.forEach(([name, count]) => {
         const percentage = (count / maxCount) * 100;
         
         const distributionItem = document.createElement('div');
         distributionItem.className = 'distribution-item';
         distributionItem.innerHTML = `
-            <div class="distribution-server">${hostname}</div>
+            <div class="distribution-server">${name}</div>
             <div class="distribution-bar-container">
                 <div class="distribution-bar" style="width: ${percentage}%">
                     ${count} request${count !== 1 ? 's' : ''}
@@ -355,13 +634,448 @@ function updateStats() {
     uniqueServersSpan.textContent = servers.size;
 }
 
+// ============================================
+// LOAD GENERATOR (BURST / SOAK MODE)
+// ============================================
+// 
+// WHY: One click = one request can't prove round-robin statistically
+// - Send many requests and look at the per-server counts
+//
+// SETTINGS:
+// - Total requests: Stop after N requests (0 = no limit, use duration)
+// - Concurrency:    How many requests are in flight at once
+// - Rate:           Max requests per second across all workers (0 = as fast as possible)
+// - Duration:       Stop after N seconds (0 = no limit, use total)
+//
+// HOW IT WORKS:
+// - "Concurrency" workers loop: take a slot, wait for its scheduled time, send
+// - Slot i is scheduled at start + i / rate (keeps the rate steady)
+// - AbortController cancels in-flight fetches on "Cancel"
+// - UI re-renders on a timer, not per request
+// ============================================
+
+const LOAD_RENDER_INTERVAL_MS = 250;
+
+// Sleep that ends early when the run is cancelled
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sortedValues, p) {
+    if (sortedValues.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil((p / 100) * sortedValues.length);
+    return sortedValues[Math.min(sortedValues.length, Math.max(1, rank)) - 1];
+}
+
+function readLoadSettings() {
+    const settings = {
+        total: parseInt(loadTotalInput.value, 10) || 0,
+        concurrency: parseInt(loadConcurrencyInput.value, 10) || 1,
+        rate: parseFloat(loadRateInput.value) || 0,
+        durationSec: parseFloat(loadDurationInput.value) || 0
+    };
+    
+    if (settings.total < 0 || settings.rate < 0 || settings.durationSec < 0 || settings.concurrency < 1) {
+        throw new Error('Settings must be positive numbers');
+    }
+    if (settings.total === 0 && settings.durationSec === 0) {
+        throw new Error('Set a total number of requests, a duration, or both');
+    }
+    if (settings.concurrency > 50) {
+        throw new Error('Concurrency is limited to 50 (browsers queue extra connections anyway)');
+    }
+    
+    return settings;
+}
+
+function isLoadRunFinished(run) {
+    if (run.controller.signal.aborted) {
+        return true;
+    }
+    if (run.settings.total > 0 && run.issued >= run.settings.total) {
+        return true;
+    }
+    if (run.settings.durationSec > 0 && performance.now() >= run.endTime) {
+        return true;
+    }
+    return false;
+}
+
+async function loadWorker(run, backendUrl) {
+    while (!isLoadRunFinished(run)) {
+        // Take the next slot and wait for its scheduled time
+        const slot = run.issued++;
+        if (run.settings.rate > 0) {
+            const dueTime = run.startTime + (slot / run.settings.rate) * 1000;
+            const wait = dueTime - performance.now();
+            if (wait > 0) {
+                await sleep(wait, run.controller.signal);
+            }
+            if (run.controller.signal.aborted ||
+                (run.settings.durationSec > 0 && performance.now() >= run.endTime)) {
+                return;
+            }
+        }
+        
+        const sentAt = performance.now();
+        try {
+            const response = await fetch(backendUrl, {
+                method: 'GET',
+                headers: { 'Content-Type': 'application/json', 'traceparent': createTraceparent(), ...authHeaders() },
+                signal: run.controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(httpErrorMessage(response));
+            }
+            const data = await response.json();
+            
+            const rttMs = performance.now() - sentAt;
+            data.client_rtt_ms = roundMs(rttMs);
+            run.latencies.push(rttMs);
+            run.succeeded++;
+            run.serverCounts.set(data.server_hostname, (run.serverCounts.get(data.server_hostname) || 0) + 1);
+            addRequest(data, { render: false });
+        } catch (error) {
+            // Cancelled requests are not failures
+            if (error.name === 'AbortError') {
+                return;
+            }
+            run.failed++;
+            addRequest(createErrorEntry(error.message), { render: false });
+        }
+    }
+}
+
+function updateLoadProgress(run) {
+    const completed = run.succeeded + run.failed;
+    const elapsedSec = (performance.now() - run.startTime) / 1000;
+    
+    // Progress follows whichever limit ends the run first
+    let fraction = 0;
+    if (run.settings.total > 0) {
+        fraction = completed / run.settings.total;
+    }
+    if (run.settings.durationSec > 0) {
+        fraction = Math.max(fraction, elapsedSec / run.settings.durationSec);
+    }
+    
+    loadProgressBar.style.width = `${Math.min(100, fraction * 100)}%`;
+    loadProgressText.textContent = `${completed} done (${run.failed} failed) in ${elapsedSec.toFixed(1)}s`;
+}
+
+function renderLoadSummary(run) {
+    const elapsedSec = (run.finishedAt - run.startTime) / 1000;
+    const completed = run.succeeded + run.failed;
+    const sorted = run.latencies.slice().sort((a, b) => a - b);
+    
+    const serverRows = Array.from(run.serverCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([hostname, count]) => `
+            <tr>
+                <td class="server-hostname">${hostname}</td>
+                <td>${count}</td>
+                <td>${((count / run.succeeded) * 100).toFixed(1)}%</td>
+            </tr>
+        `)
+        .join('');
+    
+    loadSummaryContainer.innerHTML = `
+        <h3>${run.controller.signal.aborted ? '⏹ Load test cancelled' : '✅ Load test finished'}</h3>
+        <div class="load-summary-grid">
+            <div class="detail-item">
+                <div class="detail-label">Requests</div>
+                <div class="detail-value">${completed} (${run.succeeded} ok, ${run.failed} failed)</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Duration</div>
+                <div class="detail-value">${elapsedSec.toFixed(2)} s</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Throughput</div>
+                <div class="detail-value">${elapsedSec > 0 ? (completed / elapsedSec).toFixed(1) : '-'} req/s</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Latency p50 / p90</div>
+                <div class="detail-value">${formatMs(percentile(sorted, 50))} / ${formatMs(percentile(sorted, 90))}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Latency p95 / p99</div>
+                <div class="detail-value">${formatMs(percentile(sorted, 95))} / ${formatMs(percentile(sorted, 99))}</div>
+            </div>
+            <div class="detail-item">
+                <div class="detail-label">Latency max</div>
+                <div class="detail-value">${formatMs(sorted.length ? sorted[sorted.length - 1] : null)}</div>
+            </div>
+        </div>
+        ${serverRows ? `
+        <table class="load-summary-table">
+            <thead>
+                <tr><th>Server</th><th>Requests</th><th>Share</th></tr>
+            </thead>
+            <tbody>${serverRows}</tbody>
+        </table>
+        ` : ''}
+    `;
+}
+
+async function startLoadTest() {
+    const backendUrl = backendUrlInput.value.trim();
+    if (!backendUrl) {
+        alert('Please enter a backend URL');
+        return;
+    }
+    
+    let settings;
+    try {
+        settings = readLoadSettings();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    
+    const startTime = performance.now();
+    const run = {
+        settings,
+        controller: new AbortController(),
+        startTime,
+        endTime: startTime + settings.durationSec * 1000,
+        finishedAt: null,
+        issued: 0,
+        succeeded: 0,
+        failed: 0,
+        latencies: [],
+        serverCounts: new Map()
+    };
+    loadRun = run;
+    
+    console.log('🚀 Load test started:', settings);
+    loadStartBtn.disabled = true;
+    sendRequestBtn.disabled = true;
+    loadCancelBtn.disabled = false;
+    loadSummaryContainer.innerHTML = '';
+    
+    // Re-render logs and progress a few times per second
+    const renderTimer = setInterval(() => {
+        renderAll();
+        updateLoadProgress(run);
+    }, LOAD_RENDER_INTERVAL_MS);
+    
+    const workers = [];
+    for (let i = 0; i < settings.concurrency; i++) {
+        workers.push(loadWorker(run, backendUrl));
+    }
+    await Promise.all(workers);
+    
+    clearInterval(renderTimer);
+    run.finishedAt = performance.now();
+    loadRun = null;
+    
+    renderAll();
+    updateLoadProgress(run);
+    renderLoadSummary(run);
+    console.log('✅ Load test finished:', { succeeded: run.succeeded, failed: run.failed });
+    
+    loadStartBtn.disabled = false;
+    sendRequestBtn.disabled = false;
+    loadCancelBtn.disabled = true;
+}
+
+function cancelLoadTest() {
+    if (loadRun) {
+        loadRun.controller.abort();
+    }
+}
+
+// ============================================
+// API URL HELPER
+// ============================================
+// 
+// WHY: The input holds the full /api/request URL (ALB or localhost)
+// - Other endpoints live on the same host
+// - Keep the origin, swap the path
+// ============================================
+
+function getApiUrl(path) {
+    const backendUrl = backendUrlInput.value.trim();
+    return new URL(path, backendUrl).toString();
+}
+
+// ============================================
+// LOAD HISTORICAL STATS (GET /api/stats)
+// ============================================
+// 
+// WHAT THIS DOES:
+// - Asks the backend for per-server counts from the shared database
+// - Includes every user's traffic, survives page reloads
+// - Shows the balance score (100 = perfectly even distribution)
+// ============================================
+
+async function loadServerStats() {
+    loadStatsBtn.disabled = true;
+    loadStatsBtn.textContent = 'Loading...';
+    
+    try {
+        const statsUrl = getApiUrl(`/api/stats?bucket=${encodeURIComponent(statsBucketSelect.value)}`);
+        console.log('📤 Loading stats from:', statsUrl);
+        
+        const response = await fetch(statsUrl, { headers: authHeaders() });
+        if (!response.ok) {
+            throw new Error(httpErrorMessage(response));
+        }
+        
+        const stats = await response.json();
+        console.log('✅ Stats received:', stats);
+        
+        lastStats = stats;
+        updateHistoricalDistribution(stats);
+    } catch (error) {
+        console.error('❌ Loading stats failed:', error);
+        historicalDistributionContainer.innerHTML = `
+            <div class="empty-state">
+                <p>Could not load stats: ${error.message}</p>
+            </div>
+        `;
+    } finally {
+        loadStatsBtn.disabled = false;
+        loadStatsBtn.textContent = 'Load Stats';
+    }
+}
+
+// Folds stats.servers into one row per availability zone
+// (the backend reports each server's zone, NULL before instance metadata)
+function groupStatsByZone(servers) {
+    const byZone = new Map();
+    servers.forEach(server => {
+        const zone = server.availability_zone || 'unknown';
+        const row = byZone.get(zone) || { name: zone, request_count: 0, share: 0 };
+        row.request_count += server.request_count;
+        row.share += server.share;
+        byZone.set(zone, row);
+    });
+    return Array.from(byZone.values()).sort((a, b) => b.request_count - a.request_count);
+}
+
+function updateHistoricalDistribution(stats) {
+    historicalDistributionContainer.innerHTML = '';
+    statsTotalSpan.textContent = stats.total_requests;
+    statsBalanceSpan.textContent = stats.balance.balance_score === null
+        ? '-'
+        : `${stats.balance.balance_score}%`;
+    
+    if (stats.servers.length === 0) {
+        historicalDistributionContainer.innerHTML = `
+            <div class="empty-state">
+                <p>No requests logged in this time window</p>
+            </div>
+        `;
+        return;
+    }
+    
+    // Servers are already sorted by count (descending) by the backend
+    const rows = statsGroupSelect.value === 'zone'
+        ? groupStatsByZone(stats.servers)
+        : stats.servers.map(server => ({ ...server, name: server.server_hostname }));
+    const maxCount = rows[0].request_count;
+    
+    rows.forEach(row => {
+        const percentage = (row.request_count / maxCount) * 100;
+        const share = (row.share * 100).toFixed(1);
+        
+        const distributionItem = document.createElement('div');
+        distributionItem.className = 'distribution-item';
+        distributionItem.innerHTML = `
+            <div class="distribution-server">${row.name}</div>
+            <div class="distribution-bar-container">
+                <div class="distribution-bar" style="width: ${percentage}%">
+                    ${share}%
+                </div>
+            </div>
+            <div class="distribution-count">${row.request_count}</div>
+        `;
+        
+        historicalDistributionContainer.appendChild(distributionItem);
+    });
+}
+
+// ============================================
+// LIVE STREAM (SERVER-SENT EVENTS)
+// ============================================
+// 
+// WHAT THIS DOES:
+// - Opens GET /api/stream with EventSource
+// - Backend pushes EVERY logged request, from EVERY server, from EVERY user
+// - Each event goes through addRequest() like a normal response
+//
+// WHY EventSource:
+// - Built into browsers, no library needed
+// - Reconnects automatically (possibly to another server via the ALB)
+// - Sends Last-Event-ID so the backend can replay missed requests
+// ============================================
+
+function setLiveStatus(text, state) {
+    liveStatusDiv.textContent = `Live stream: ${text}`;
+    liveStatusDiv.className = `live-status ${state || ''}`;
+}
+
+function startLiveStream() {
+    const streamUrl = getApiUrl('/api/stream');
+    console.log('📡 Connecting live stream:', streamUrl);
+    
+    // EventSource can't send an Authorization header → token in the query string
+    const apiKey = apiKeyInput.value.trim();
+    liveStream = new EventSource(apiKey
+        ? `${streamUrl}?access_token=${encodeURIComponent(apiKey)}`
+        : streamUrl);
+    setLiveStatus('connecting...', 'reconnecting');
+    
+    liveStream.addEventListener('hello', (event) => {
+        const hello = JSON.parse(event.data);
+        setLiveStatus(`connected via ${hello.server_hostname}`, 'connected');
+    });
+    
+    liveStream.addEventListener('request', (event) => {
+        addRequest({ ...JSON.parse(event.data), source: 'stream' });
+    });
+    
+    // EventSource retries on its own - just show it
+    liveStream.onerror = () => {
+        setLiveStatus('reconnecting...', 'reconnecting');
+    };
+    
+    liveStreamBtn.textContent = '⏹ Stop Live Stream';
+}
+
+function stopLiveStream() {
+    liveStream.close();
+    liveStream = null;
+    setLiveStatus('off');
+    liveStreamBtn.textContent = '📡 Start Live Stream';
+}
+
+function toggleLiveStream() {
+    if (liveStream) {
+        stopLiveStream();
+    } else {
+        startLiveStream();
+    }
+}
+
 // ============================================
 // CLEAR LOGS FUNCTION
 // ============================================
 // 
 // WHAT THIS DOES:
 // - Clear requests array
-// - Clear servers map
+// - Clear servers and zones maps
 // - Reset UI
 // ============================================
 
@@ -369,9 +1083,9 @@ function clearLogs() {
     if (confirm('Are you sure you want to clear all logs?')) {
         requests = [];
         servers.clear();
-        updateRequestLogs();
-        updateServerDistribution();
-        updateStats();
+        zones.clear();
+        seenRequestIds.clear();
+        renderAll();
     }
 }
 
@@ -394,6 +1108,24 @@ sendRequestBtn.addEventListener('click', sendRequest);
 // Clear logs button
 clearLogsBtn.addEventListener('click', clearLogs);
 
+// Load generator buttons
+loadStartBtn.addEventListener('click', startLoadTest);
+loadCancelBtn.addEventListener('click', cancelLoadTest);
+
+// Live stream button
+liveStreamBtn.addEventListener('click', toggleLiveStream);
+
+// Load historical stats button
+loadStatsBtn.addEventListener('click', loadServerStats);
+
+// Group by server / availability zone
+distributionGroupSelect.addEventListener('change', updateServerDistribution);
+statsGroupSelect.addEventListener('change', () => {
+    if (lastStats) {
+        updateHistoricalDistribution(lastStats);
+    }
+});
+
 // Allow Enter key to send request
 backendUrlInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -414,7 +1146,5 @@ console.log('✅ CloudTrace Frontend Loaded');
 console.log('📝 Ready to track requests');
 
 // Initialize UI
-updateRequestLogs();
-updateServerDistribution();
-updateStats();
+renderAll();
 
@@ -7,7 +7,7 @@
 # WHAT THIS SCRIPT DOES:
 # 1. Checks prerequisites (Node.js, Docker)
 # 2. Starts MariaDB in Docker
-# 3. Creates database schema
+# 3. Leaves the database schema to backend migrations
 # 4. Installs backend dependencies
 # 5. Provides instructions for starting services
 # ============================================
@@ -80,14 +80,8 @@ if ($useDocker) {
         Start-Sleep -Seconds 10
     }
     
-    # Create schema
-    Write-Host "📝 Creating database schema..." -ForegroundColor Yellow
-    if (Test-Path "db\schema.sql") {
-        Get-Content "db\schema.sql" | docker exec -i cloudtrace-db mysql -uroot -prootpassword cloudtrace
-        Write-Host "✅ Schema created" -ForegroundColor Green
-    } else {
-        Write-Host "⚠️  Schema file not found at db\schema.sql" -ForegroundColor Yellow
-    }
+    # Schema is created by the backend's migrations (npm run migrate, or on startup)
+    Write-Host "📝 Database schema will be created by backend migrations (npm run migrate)" -ForegroundColor Yellow
     
 } else {
     Write-Host "⚠️  Docker not available. Please set up MariaDB manually:" -ForegroundColor Yellow
@@ -101,7 +95,7 @@ if ($useDocker) {
     Write-Host "   FLUSH PRIVILEGES;" -ForegroundColor White
     Write-Host "   EXIT;" -ForegroundColor White
     Write-Host "3. Create schema:" -ForegroundColor Cyan
-    Write-Host "   mysql -u cloudtrace -ppassword cloudtrace < db\schema.sql" -ForegroundColor White
+    Write-Host "   cd backend; npm run migrate" -ForegroundColor White
     Write-Host ""
 }
 
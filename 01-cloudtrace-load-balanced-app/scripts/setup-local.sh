@@ -9,7 +9,7 @@
 # WHAT THIS SCRIPT DOES:
 # 1. Checks prerequisites (Node.js, Docker)
 # 2. Starts MariaDB in Docker
-# 3. Creates database schema
+# 3. Leaves the database schema to backend migrations
 # 4. Installs backend dependencies
 # 5. Provides instructions for starting services
 # ============================================
@@ -81,14 +81,8 @@ if [ "$USE_DOCKER" = true ]; then
         sleep 10
     fi
     
-    # Create schema
-    echo "📝 Creating database schema..."
-    if [ -f "db/schema.sql" ]; then
-        docker exec -i cloudtrace-db mysql -uroot -prootpassword cloudtrace < db/schema.sql
-        echo "✅ Schema created"
-    else
-        echo "⚠️  Schema file not found at db/schema.sql"
-    fi
+    # Schema is created by the backend's migrations (npm run migrate, or on startup)
+    echo "📝 Database schema will be created by backend migrations (npm run migrate)"
     
 else
     echo "⚠️  Docker not available. Please set up MariaDB manually:"
@@ -102,7 +96,7 @@ else
     echo "   FLUSH PRIVILEGES;"
     echo "   EXIT;"
     echo "3. Create schema:"
-    echo "   mysql -u cloudtrace -ppassword cloudtrace < db/schema.sql"
+    echo "   cd backend && npm run migrate"
     echo ""
 fi
 